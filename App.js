@@ -7,6 +7,21 @@ import { assetManager } from './src/AssetManager';
 import { inputManager } from './src/InputManager';
 import { physicsManager } from './src/PhysicsManager';
 import { accelerometerManager } from './src/AccelerometerManager';
+import { GameLoop } from './src/GameLoop';
+import { ContinuousCollision } from './src/ContinuousCollision';
+import { materialRegistry } from './src/PhysicsMaterials';
+import {
+  createPhysicsWorld,
+  createPlayerBody,
+  PLAYER_RADIUS,
+  PLAYER_SPAWN,
+  RESET_HEIGHT,
+  FIXED_TIME_STEP,
+  CONTINUOUS_COLLISION_OPTIONS
+} from './src/PhysicsWorld';
+import { createProceduralLevel } from './src/ProceduralLevel';
+import { PhysicsDebugRenderer } from './src/PhysicsDebugRenderer';
+import { RenderStreaming } from './src/RenderStreaming';
 
 // Rebuilt 3D app without expo-three dependency
 export default function App() {
@@ -15,15 +30,20 @@ export default function App() {
   const [physicsStats, setPhysicsStats] = React.useState({
     totalChunks: 0,
     loadedChunks: 0,
-    totalTrimeshes: 0,
-    loadedTrimeshes: 0,
+    totalShapes: 0,
+    loadedShapes: 0,
+    shapeTypes: { box: 0, convex: 0, trimesh: 0 },
     spherePosition: { x: 0, y: 0, z: 0 },
-    sphereVelocity: { x: 0, y: 0, z: 0 }
+    sphereVelocity: { x: 0, y: 0, z: 0 },
+    calibration: { state: 'idle', quality: '0.00' }
   });
 
   // Accelerometer state
   const [accelerometerActive, setAccelerometerActive] = React.useState(false);
   
+  // Physics debug layer state
+  const [debugActive, setDebugActive] = React.useState(false);
+  
   // Refs to avoid re-renders
   const fpsRef = React.useRef(0);
   const frameCountRef = React.useRef(0);
@@ -33,6 +53,9 @@ export default function App() {
   const sphereBodyRef = React.useRef(null);
   const sphereRef = React.useRef(null);
   const worldRef = React.useRef(null); // Store world reference for gravity updates
+  const gameLoopRef = React.useRef(null); // Fixed-timestep loop, stopped on unmount
+  const debugRendererRef = React.useRef(null); // Collision wireframes, chunk AABBs and radius rings
+  const renderStreamingRef = React.useRef(null); // Chunk-based mesh visibility, detached on unmount
   
   // Setup input handlers and cleanup
   React.useEffect(() => {
@@ -47,12 +70,40 @@ export default function App() {
       console.log('Touch pressed at:', eventData.position);
     });
 
+    // Register physics event handlers
+    const impactHandler = physicsManager.on('collide', (eventData) => {
+      if (eventData.impactSpeed > 5) {
+        console.log(`Hard impact on ${eventData.name} (${eventData.material}):`, eventData.impactSpeed.toFixed(1), 'm/s');
+      }
+    });
+
+    const enterChunkHandler = physicsManager.on('enterChunk', (eventData) => {
+      console.log('Entered chunk:', eventData.chunkId);
+    });
+
+    const triggerHandler = physicsManager.on('triggerEnter', (eventData) => {
+      console.log(`Entered ${eventData.kind} trigger:`, eventData.name);
+    });
+
     // Cleanup on unmount
     return () => {
       console.log('App component unmounting - cleaning up managers');
       inputManager.off('tap', tapHandler);
       inputManager.off('press', pressHandler);
+      physicsManager.off('collide', impactHandler);
+      physicsManager.off('enterChunk', enterChunkHandler);
+      physicsManager.off('triggerEnter', triggerHandler);
+      physicsManager.off('triggerEnter', 'killZoneRespawn');
       accelerometerManager.cleanup();
+      if (gameLoopRef.current) {
+        gameLoopRef.current.stop();
+      }
+      if (debugRendererRef.current) {
+        debugRendererRef.current.dispose();
+      }
+      if (renderStreamingRef.current) {
+        renderStreamingRef.current.detach();
+      }
     };
   }, []);
   
@@ -84,19 +135,8 @@ export default function App() {
         height: gl.drawingBufferHeight
       });
       
-      // Create physics world with optimized settings
-      const world = new CANNON.World();
-      world.gravity.set(0, -9.82, 0);
-      world.broadphase = new CANNON.NaiveBroadphase();
-      
-      // Optimize solver for performance
-      world.solver.iterations = 5; // Reduced from 10
-      world.solver.tolerance = 0.1;
-      
-      // Allow sleeping for static and slow-moving bodies (performance boost)
-      world.allowSleep = true;
-      world.sleepSpeedLimit = 0.1; // Bodies slower than this will sleep
-      world.sleepTimeLimit = 1; // Bodies must be slow for 1 second to sleep
+      // Create physics world with optimized settings (shared with the headless simulation)
+      const world = createPhysicsWorld(materialRegistry);
       
       // Store world reference for managers
       worldRef.current = world;
@@ -151,87 +191,11 @@ export default function App() {
       console.log('Creating procedural level geometry...');
       
       try {
-        model = new THREE.Group();
-        model.name = 'ProceduralLevel';
-        
-        // Create a more interesting level with multiple platforms and obstacles
-        const levelGeometries = [];
-        
-        // Main ground platform
-        const mainGround = new THREE.Mesh(
-          new THREE.BoxGeometry(20, 1, 20),
-          new THREE.MeshLambertMaterial({ color: 0x4a7c59 })
-        );
-        mainGround.position.set(0, -0.5, 0);
-        model.add(mainGround);
-        levelGeometries.push({ mesh: mainGround, isStatic: true });
-        
-        // Elevated platforms
-        const platforms = [
-          { pos: [6, 2, 6], size: [4, 0.5, 4], color: 0x8B4513 },
-          { pos: [-6, 3, -6], size: [3, 0.5, 3], color: 0x8B4513 },
-          { pos: [0, 4, -10], size: [6, 0.5, 2], color: 0x8B4513 },
-          { pos: [10, 1, 0], size: [2, 0.5, 8], color: 0x8B4513 }
-        ];
-        
-        platforms.forEach((platform, index) => {
-          const platformMesh = new THREE.Mesh(
-            new THREE.BoxGeometry(...platform.size),
-            new THREE.MeshLambertMaterial({ color: platform.color })
-          );
-          platformMesh.position.set(...platform.pos);
-          platformMesh.name = `Platform_${index}`;
-          model.add(platformMesh);
-          levelGeometries.push({ mesh: platformMesh, isStatic: true });
-        });
-        
-        // Walls around the level
-        const walls = [
-          { pos: [0, 3, 12], size: [20, 6, 1], color: 0x696969 },  // North wall
-          { pos: [0, 3, -12], size: [20, 6, 1], color: 0x696969 }, // South wall
-          { pos: [12, 3, 0], size: [1, 6, 20], color: 0x696969 },  // East wall
-          { pos: [-12, 3, 0], size: [1, 6, 20], color: 0x696969 }  // West wall
-        ];
-        
-        walls.forEach((wall, index) => {
-          const wallMesh = new THREE.Mesh(
-            new THREE.BoxGeometry(...wall.size),
-            new THREE.MeshLambertMaterial({ color: wall.color })
-          );
-          wallMesh.position.set(...wall.pos);
-          wallMesh.name = `Wall_${index}`;
-          model.add(wallMesh);
-          levelGeometries.push({ mesh: wallMesh, isStatic: true });
-        });
-        
-        // Add some obstacles/ramps
-        const obstacles = [
-          { pos: [-3, 1, 3], size: [2, 2, 2], color: 0xDC143C },
-          { pos: [8, 0.5, -4], size: [1, 1, 6], color: 0xFF6347 },
-          { pos: [-8, 1.5, -2], size: [3, 3, 1], color: 0x4169E1 }
-        ];
-        
-        obstacles.forEach((obstacle, index) => {
-          const obstacleMesh = new THREE.Mesh(
-            new THREE.BoxGeometry(...obstacle.size),
-            new THREE.MeshLambertMaterial({ color: obstacle.color })
-          );
-          obstacleMesh.position.set(...obstacle.pos);
-          obstacleMesh.name = `Obstacle_${index}`;
-          model.add(obstacleMesh);
-          levelGeometries.push({ mesh: obstacleMesh, isStatic: true });
-        });
+        model = createProceduralLevel();
         
         // Add the level to scene
         scene.add(model);
         
-        console.log('Procedural level created:', {
-          totalMeshes: model.children.length,
-          platforms: platforms.length,
-          walls: walls.length,
-          obstacles: obstacles.length
-        });
-        
         // Initialize PhysicsManager with the procedural level
         console.log('Initializing PhysicsManager with procedural geometry...');
         physicsManager.setWorld(world);
@@ -239,6 +203,21 @@ export default function App() {
         
         console.log('PhysicsManager initialized successfully with procedural level');
         
+        // A recreated GL context must not leave the previous merged meshes and fog behind
+        if (renderStreamingRef.current) {
+          renderStreamingRef.current.detach();
+          renderStreamingRef.current = null;
+        }
+        
+        // Draw only chunks near the camera; static meshes of a chunk share one draw call
+        const renderStreaming = new RenderStreaming(physicsManager, {
+          visualRadius: 45, // Separate from the physics loadRadius
+          mergeStatic: true,
+          fogColor: 0x000033 // Matches the clear color
+        });
+        renderStreaming.attach(model, scene);
+        renderStreamingRef.current = renderStreaming;
+        
       } catch (levelError) {
         console.error('Error creating procedural level:', levelError);
         
@@ -260,7 +239,7 @@ export default function App() {
       }
       
       // Create physics sphere (ball)
-      const sphereRadius = 0.5;
+      const sphereRadius = PLAYER_RADIUS;
       const sphereGeometry = new THREE.SphereGeometry(sphereRadius, 32, 32);
       const sphereMaterial = new THREE.MeshLambertMaterial({ 
         color: 0xff6347,
@@ -268,20 +247,18 @@ export default function App() {
         opacity: 0.9 
       });
       sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-      sphere.position.set(0, 5, 0);
+      sphere.position.set(...PLAYER_SPAWN);
       sphere.castShadow = true;
       scene.add(sphere);
       
       // Create physics body for sphere
-      const sphereShape = new CANNON.Sphere(sphereRadius);
-      sphereBody = new CANNON.Body({ 
-        mass: 1,
-        material: new CANNON.Material({ friction: 0.3, restitution: 0.7 })
-      });
-      sphereBody.addShape(sphereShape);
-      sphereBody.position.set(0, 5, 0);
+      sphereBody = createPlayerBody(materialRegistry);
       world.addBody(sphereBody);
       
+      // Continuous collision keeps the fast-rolling ball from tunnelling through thin platforms
+      const continuousCollision = new ContinuousCollision(CONTINUOUS_COLLISION_OPTIONS);
+      continuousCollision.addBody(sphereBody, sphereRadius);
+      
       // Store references for reset functionality
       sphereBodyRef.current = sphereBody;
       sphereRef.current = sphere;
@@ -301,51 +278,86 @@ export default function App() {
         }
       });
       
-      // Animation loop with physics simulation and performance monitoring
+      // Free the previous context's debug lines before replacing the layer
+      if (debugRendererRef.current) {
+        debugRendererRef.current.dispose();
+        debugRendererRef.current = null;
+        setDebugActive(false); // The new layer starts off
+      }
+      
+      // Debug layer; costs nothing until toggled on
+      const debugRenderer = new PhysicsDebugRenderer(scene, physicsManager);
+      debugRendererRef.current = debugRenderer;
+      
+      // Kill zones respawn the ball after the step; teleporting inside the contact callback would upset the solver
+      let respawnRequested = false;
+      physicsManager.on('triggerEnter', (eventData) => {
+        if (eventData.kind === 'kill') {
+          respawnRequested = true;
+        }
+      }, 'killZoneRespawn'); // Fixed ID, so a recreated GL context replaces the handler
+      
+      // A recreated GL context must not leave the previous loop stepping the same world
+      if (gameLoopRef.current) {
+        gameLoopRef.current.stop();
+        gameLoopRef.current = null;
+      }
+      
+      // Game loop: fixed-step physics with interpolated rendering and performance monitoring
       let animationFrame = 0;
-      const timeStep = 1 / 60; // 60 FPS physics
+      const targetCameraPosition = new THREE.Vector3();
       
-      const animate = () => {
-        const currentTime = performance.now();
-        animationFrame++;
-        frameCountRef.current++;
+      const gameLoop = new GameLoop({
+        fixedTimeStep: FIXED_TIME_STEP, // 60 Hz physics on every display
+        maxSubSteps: 5,
         
-        try {
-          // Step physics simulation
-          world.step(timeStep);
+        onFixedUpdate: (timeStep) => {
+          // Update PhysicsManager (spatial chunking) around the ball and its predicted path
+          if (model && physicsManager.world && sphereBody) {
+            physicsManager.updateChunks(sphereBody);
+          }
           
-          // Update PhysicsManager (spatial chunking)
-          if (model && physicsManager.world) {
-            physicsManager.updateChunks(camera.position);
+          // Move animated platforms; their bodies get the velocity that reaches the next pose
+          physicsManager.updateAnimations(timeStep);
+          
+          // Step physics simulation (substeps and sweeps the ball when it is fast)
+          continuousCollision.step(world, timeStep);
+          
+          // Crates and other dynamic props carry their meshes along
+          physicsManager.updateDynamicMeshes();
+          
+          // Reset sphere if it falls too low or hits a kill zone (for continuous demo)
+          if (sphereBody && (sphereBody.position.y < RESET_HEIGHT || respawnRequested)) {
+            respawnRequested = false;
+            sphereBody.position.set(
+              (Math.random() - 0.5) * 8, // Random X position
+              10, 
+              (Math.random() - 0.5) * 8  // Random Z position
+            );
+            sphereBody.velocity.set(0, 0, 0);
+            sphereBody.angularVelocity.set(0, 0, 0);
+            gameLoop.snapBody(sphereBody);
           }
+        },
+        
+        onRender: (alpha, frameTime) => {
+          const currentTime = performance.now();
+          animationFrame++;
+          frameCountRef.current++;
           
-          // Sync Three.js objects with physics bodies
+          // Sphere pose was interpolated by the game loop
           if (sphere && sphereBody) {
-            sphere.position.copy(sphereBody.position);
-            sphere.quaternion.copy(sphereBody.quaternion);
-            
             // Add some rotation for visual effect (independent of physics)
             sphere.rotation.x += 0.01;
             
-            // Camera follows the sphere
-            const targetCameraPosition = new THREE.Vector3(
-              sphereBody.position.x + 0,
-              sphereBody.position.y + 10,  // 10 units above the sphere
-              sphereBody.position.z + 15   // 15 units behind the sphere
+            // Camera follows the sphere; the lerp factor is scaled so the follow speed ignores frame rate
+            targetCameraPosition.set(
+              sphere.position.x + 0,
+              sphere.position.y + 10,  // 10 units above the sphere
+              sphere.position.z + 15   // 15 units behind the sphere
             );
-            camera.position.lerp(targetCameraPosition, 0.05);
+            camera.position.lerp(targetCameraPosition, 1 - Math.pow(1 - 0.05, frameTime * 60));
             //camera.lookAt(sphereBody.position);
-            
-            // Reset sphere if it falls too low (for continuous demo)
-            if (sphereBody.position.y < -10) {
-              sphereBody.position.set(
-                (Math.random() - 0.5) * 8, // Random X position
-                10, 
-                (Math.random() - 0.5) * 8  // Random Z position
-              );
-              sphereBody.velocity.set(0, 0, 0);
-              sphereBody.angularVelocity.set(0, 0, 0);
-            }
           }
           
           // Calculate FPS every second
@@ -362,15 +374,17 @@ export default function App() {
             const stats = physicsManager.world ? physicsManager.getStatus() : {
               totalChunks: 0,
               loadedChunks: 0,
-              totalTrimeshes: 0,
-              loadedTrimeshes: 0
+              totalShapes: 0,
+              loadedShapes: 0,
+              shapeTypes: { box: 0, convex: 0, trimesh: 0 }
             };
             
             setPhysicsStats({
               totalChunks: stats.totalChunks,
               loadedChunks: stats.loadedChunks,
-              totalTrimeshes: 0, // Not available in current API
-              loadedTrimeshes: 0, // Not available in current API
+              totalShapes: stats.totalShapes,
+              loadedShapes: stats.loadedShapes,
+              shapeTypes: stats.shapeTypes,
               spherePosition: sphereBody ? {
                 x: parseFloat(sphereBody.position.x.toFixed(2)),
                 y: parseFloat(sphereBody.position.y.toFixed(2)),
@@ -380,10 +394,19 @@ export default function App() {
                 x: parseFloat(sphereBody.velocity.x.toFixed(2)),
                 y: parseFloat(sphereBody.velocity.y.toFixed(2)),
                 z: parseFloat(sphereBody.velocity.z.toFixed(2))
-              } : { x: 0, y: 0, z: 0 }
+              } : { x: 0, y: 0, z: 0 },
+              calibration: accelerometerManager.getStatus().calibration
             });
           }
           
+          // Show chunks within the visual radius of the camera, hide those beyond it
+          if (renderStreamingRef.current) {
+            renderStreamingRef.current.update(camera.position);
+          }
+          
+          // Sync debug wireframes with the latest physics state (returns immediately when off)
+          debugRenderer.update();
+          
           // Render
           renderer.render(scene, camera);
           gl.endFrameEXP();
@@ -393,20 +416,22 @@ export default function App() {
             console.log('Performance:', {
               fps: fpsRef.current,
               frame: animationFrame,
+              loop: gameLoop.getStatus(),
+              ccd: continuousCollision.getStatus(),
               sphereY: sphereBody.position.y.toFixed(2),
               velocity: sphereBody.velocity.y.toFixed(2)
             });
           }
-          
-        } catch (renderError) {
-          console.error('Render error:', renderError);
         }
-        
-        requestAnimationFrame(animate);
-      };
+      });
       
-      console.log('Starting physics animation loop...');
-      animate();
+      if (sphere && sphereBody) {
+        gameLoop.addInterpolatedBody(sphereBody, sphere);
+      }
+      gameLoopRef.current = gameLoop;
+      
+      console.log('Starting physics game loop...');
+      gameLoop.start();
       
     } catch (error) {
       console.error('Error in 3D setup:', error);
@@ -424,24 +449,31 @@ export default function App() {
     
     if (sphereBodyRef.current && sphereRef.current) {
       // Reset physics body position and velocity
-      sphereBodyRef.current.position.set(0, 5, 0);
+      sphereBodyRef.current.position.set(...PLAYER_SPAWN);
       sphereBodyRef.current.velocity.set(0, 0, 0);
       sphereBodyRef.current.angularVelocity.set(0, 0, 0);
       
-      // Reset visual sphere position
-      sphereRef.current.position.set(0, 5, 0);
-      sphereRef.current.quaternion.set(0, 0, 0, 1);
+      sphereBodyRef.current.quaternion.set(0, 0, 0, 1);
+      
+      // Reset visual sphere position without interpolating from the old pose
+      if (gameLoopRef.current) {
+        gameLoopRef.current.snapBody(sphereBodyRef.current);
+      } else {
+        sphereRef.current.position.set(...PLAYER_SPAWN);
+        sphereRef.current.quaternion.set(0, 0, 0, 1);
+      }
       
       console.log('Sphere reset to initial position');
       
       // Recalibrate accelerometer with current phone position as new reference
+      // (rejects readings while the phone moves, and clears an unsteady calibration warning)
       if (accelerometerManager && accelerometerManager.isActive) {
-        console.log('Resetting accelerometer reference to current phone position...');
+        console.log('Recalibrating accelerometer reference at current phone position...');
         try {
-          accelerometerManager.resetReference();
-          console.log('Accelerometer reference reset complete - current phone position is now the neutral reference');
+          const result = await accelerometerManager.recalibrate();
+          console.log(`Accelerometer recalibration ${result.steady ? 'complete' : 'unsteady'} (quality ${result.quality.toFixed(2)}) - current phone position is now the neutral reference`);
         } catch (error) {
-          console.error('Failed to reset accelerometer reference:', error);
+          console.error('Failed to recalibrate accelerometer reference:', error);
         }
       } else {
         console.log('Accelerometer not active - skipping reference reset');
@@ -451,6 +483,13 @@ export default function App() {
     }
   };
 
+  // Show or hide the physics debug layer
+  const toggleDebug = () => {
+    if (debugRendererRef.current) {
+      setDebugActive(debugRendererRef.current.toggle());
+    }
+  };
+
   return (
     <View style={styles.container}>
       <GLView style={styles.glView} onContextCreate={onContextCreate} />
@@ -464,7 +503,10 @@ export default function App() {
       <View style={styles.statsPanel}>
         <Text style={styles.statsTitle}>Physics Manager</Text>
         <Text style={styles.statsText}>Chunks: {physicsStats.loadedChunks}/{physicsStats.totalChunks}</Text>
-        <Text style={styles.statsText}>Trimeshes: {physicsStats.loadedTrimeshes}/{physicsStats.totalTrimeshes}</Text>
+        <Text style={styles.statsText}>Shapes: {physicsStats.loadedShapes}/{physicsStats.totalShapes}</Text>
+        <Text style={styles.statsText}>
+          Box/Convex/Trimesh: {physicsStats.shapeTypes.box}/{physicsStats.shapeTypes.convex}/{physicsStats.shapeTypes.trimesh}
+        </Text>
         <Text style={styles.statsText}>
           Ball: ({physicsStats.spherePosition.x}, {physicsStats.spherePosition.y}, {physicsStats.spherePosition.z})
         </Text>
@@ -473,6 +515,8 @@ export default function App() {
         </Text>
         <Text style={styles.statsText}>
           Accelerometer: {accelerometerActive ? 'Active' : 'Disabled'}
+          {physicsStats.calibration.state === 'calibrating' ? ' - calibrating, hold still' : ''}
+          {physicsStats.calibration.state === 'unsteady' ? ` - unsteady calibration (${physicsStats.calibration.quality}), hold still and reset` : ''}
         </Text>
       </View>
       
@@ -485,6 +529,11 @@ export default function App() {
       <TouchableOpacity style={styles.resetButton} onPress={resetSphere}>
         <Text style={styles.resetButtonText}>Reset Sphere</Text>
       </TouchableOpacity>
+      
+      {/* Debug Toggle */}
+      <TouchableOpacity style={styles.debugButton} onPress={toggleDebug}>
+        <Text style={styles.resetButtonText}>Debug: {debugActive ? 'On' : 'Off'}</Text>
+      </TouchableOpacity>
     </View>
   );
 }
@@ -569,6 +618,22 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.3,
     shadowRadius: 4,
   },
+  debugButton: {
+    position: 'absolute',
+    top: 210,
+    right: 20,
+    backgroundColor: 'rgba(65, 105, 225, 0.9)',
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 25,
+    borderWidth: 2,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+    elevation: 5,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+  },
   resetButtonText: {
     color: 'white',
     fontSize: 16,
@@ -0,0 +1,76 @@
+/**
+ * Offline chunk baker
+ *
+ * Loads a level GLB, partitions it with the same rules as the in-game PhysicsManager
+ * and writes a binary collision file that PhysicsManager.loadBakedChunks() reads at level start.
+ *
+ * Usage: node scripts/bakeChunks.mjs [level1.glb level2.glb ...] [--out <dir>] [--verbose]
+ * Without model names both bundled levels are baked into assets/<level>.collision.bin
+ */
+import fs from 'fs';
+import path from 'path';
+import { PhysicsManager, LEVEL_PHYSICS_OPTIONS } from '../src/PhysicsManager.js';
+import { ROOT, resolveModelPath, loadModel } from './loadModel.mjs';
+
+const DEFAULT_MODELS = ['level1.glb', 'level2.glb'];
+
+function parseArgs(argv) {
+  const args = { models: [], outDir: path.join(ROOT, 'assets'), verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.outDir = path.resolve(argv[++i]);
+    } else if (argv[i] === '--verbose') {
+      args.verbose = true;
+    } else {
+      args.models.push(argv[i]);
+    }
+  }
+  if (args.models.length === 0) {
+    args.models = DEFAULT_MODELS;
+  }
+  return args;
+}
+
+async function bakeModel(modelName, outDir) {
+  const modelPath = resolveModelPath(modelName);
+  const model = await loadModel(modelPath);
+
+  const manager = new PhysicsManager(LEVEL_PHYSICS_OPTIONS);
+  manager.processGeometry(model);
+
+  const buffer = manager.exportBakedChunks({ source: path.basename(modelPath) });
+  const outPath = path.join(outDir, `${path.basename(modelPath, path.extname(modelPath))}.collision.bin`);
+  fs.writeFileSync(outPath, Buffer.from(buffer));
+
+  const status = manager.getStatus();
+  return {
+    outPath: outPath,
+    bytes: buffer.byteLength,
+    chunks: status.totalChunks,
+    shapes: status.totalShapes,
+    shapeTypes: status.shapeTypes
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const log = console.log;
+  if (!args.verbose) {
+    // PhysicsManager logs every chunk and shape; keep the summary readable
+    console.log = () => {};
+  }
+
+  fs.mkdirSync(args.outDir, { recursive: true });
+
+  for (const modelName of args.models) {
+    try {
+      const result = await bakeModel(modelName, args.outDir);
+      log(`Baked ${modelName} -> ${path.relative(process.cwd(), result.outPath)}: ${result.chunks} chunks, ${result.shapes} shapes`, result.shapeTypes, `${result.bytes} bytes`);
+    } catch (error) {
+      console.error(`Failed to bake ${modelName}:`, error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main();
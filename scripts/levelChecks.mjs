@@ -0,0 +1,234 @@
+/**
+ * Level processing self-checks, run by `node scripts/simulateLevel.mjs --check`
+ *
+ * Each check builds what it needs in memory and throws on the first broken expectation.
+ */
+import fs from 'fs';
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { PhysicsManager, LEVEL_PHYSICS_OPTIONS } from '../src/PhysicsManager.js';
+import { createProceduralLevel } from '../src/ProceduralLevel.js';
+import { LevelSimulation } from '../src/LevelSimulation.js';
+
+const TILT_TOUR = new URL('./timelines/tilt-tour.json', import.meta.url);
+const LEVEL1_COLLISION = new URL('../assets/level1.collision.bin', import.meta.url);
+
+function readArrayBuffer(url) {
+  const file = fs.readFileSync(url);
+  return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export const LEVEL_CHECKS = [
+  {
+    name: 'trigger names',
+    run() {
+      const manager = new PhysicsManager(LEVEL_PHYSICS_OPTIONS);
+      const expected = {
+        Trigger_Goal: 'goal',
+        'Trigger-Kill.001': 'kill',
+        Trigger_Checkpoint_2: 'checkpoint',
+        Trigger: 'generic',
+        'Trigger.003': 'generic',
+        Trigger_2: 'generic',
+        // Names that merely start with "trigger" stay solid, visible geometry
+        TriggeredDoor: null,
+        TriggerPlateBase: null,
+        Wall_Trigger: null
+      };
+      Object.keys(expected).forEach(name => {
+        const node = new THREE.Object3D();
+        node.name = name;
+        const kind = manager.resolveTrigger(node);
+        assert(kind === expected[name], `${name}: expected ${expected[name]}, got ${kind}`);
+      });
+    }
+  },
+  {
+    // A mesh spanning several cells belongs to one chunk, whose AABB grows to cover it.
+    // Standing in any other cell the mesh crosses must stream that owner in, once.
+    name: 'spanning meshes load once from neighbouring cells',
+    run() {
+      const model = createProceduralLevel();
+      const layout = new PhysicsManager(LEVEL_PHYSICS_OPTIONS);
+      layout.processGeometry(model);
+
+      let pairs = 0;
+      model.children.forEach(mesh => {
+        const bbox = new THREE.Box3().setFromObject(mesh);
+        const owners = [];
+        layout.chunks.forEach(chunk => {
+          chunk.shapes.forEach(shapeData => {
+            if (shapeData.child === mesh) owners.push({ chunk: chunk, shapeData: shapeData });
+          });
+        });
+        assert(owners.length === 1, `${mesh.name || 'ground'}: fitted in ${owners.length} chunks`);
+        const owner = owners[0];
+
+        layout.chunks.forEach(neighbour => {
+          if (neighbour === owner.chunk || !neighbour.cellAABB.intersectsBox(bbox)) return;
+          pairs++;
+
+          // Stream with radii far smaller than a cell, from inside the neighbour's part of the mesh
+          const manager = new PhysicsManager({ ...LEVEL_PHYSICS_OPTIONS, loadRadius: 1, unloadRadius: 2, guaranteeRadius: 0.5 });
+          const world = new CANNON.World();
+          manager.setWorld(world);
+          manager.processGeometry(model);
+          const position = neighbour.cellAABB.clone().intersect(bbox).getCenter(new THREE.Vector3());
+          for (let frame = 0; frame < 30; frame++) {
+            manager.updateChunks(position);
+          }
+
+          const label = `${mesh.name || 'ground'} from ${neighbour.id}`;
+          assert(manager.chunks.get(neighbour.id).isLoaded, `${label}: neighbouring chunk not loaded`);
+          const bodies = world.bodies.filter(body =>
+            body.userData.chunkId === owner.chunk.id && body.userData.name === owner.shapeData.name);
+          assert(bodies.length === 1, `${label}: ${bodies.length} bodies`);
+        });
+      });
+      assert(pairs > 0, 'level has no mesh spanning several cells');
+    }
+  },
+  {
+    name: 'simulation is deterministic',
+    run() {
+      const timeline = JSON.parse(fs.readFileSync(TILT_TOUR, 'utf8'));
+      const model = createProceduralLevel();
+      const reports = [0, 1].map(() => new LevelSimulation({ duration: timeline.duration }).run(model, timeline.keyframes));
+
+      const first = JSON.stringify(reports[0]);
+      assert(first === JSON.stringify(reports[1]), 'two runs of the tilt tour produced different reports');
+
+      // The tour rolls the ball across the ground onto the east platform without leaving the level
+      const report = reports[0];
+      assert(report.reset === null, `ball was reset (${report.reset && report.reset.reason})`);
+      assert(report.triggers.length === 0, `entered ${report.triggers.length} triggers in a level without any`);
+      const touched = report.touched.map(record => record.name).join(', ');
+      assert(touched === 'child_0, Platform_3', `touched ${touched}`);
+    }
+  },
+  {
+    // Evicted chunks are rebuilt from their float32 baked copy; queries must not notice
+    name: 'evicted collision data restores unchanged',
+    run() {
+      const buffer = readArrayBuffer(LEVEL1_COLLISION);
+      const manager = new PhysicsManager({ ...LEVEL_PHYSICS_OPTIONS, memoryBudget: 1, evictionRadius: 1 });
+      manager.setWorld(new CANNON.World());
+      manager.loadBakedChunks(buffer);
+      const reference = new PhysicsManager(LEVEL_PHYSICS_OPTIONS);
+      reference.loadBakedChunks(buffer);
+
+      const bounds = new THREE.Box3();
+      let evictable = 0;
+      manager.chunks.forEach(chunk => {
+        bounds.union(chunk.aabb);
+        if (chunk.isEvictable()) evictable++;
+      });
+      manager.updateChunks(bounds.max.clone().addScalar(1000));
+
+      let evicted = 0;
+      manager.chunks.forEach(chunk => {
+        if (!chunk.isResident) evicted++;
+      });
+      assert(evictable > 0 && evicted === evictable, `evicted ${evicted} of ${evictable} evictable chunks`);
+
+      manager.chunks.forEach(chunk => manager.ensureResident(chunk));
+      assert(manager.restores === evicted, `restored ${manager.restores} of ${evicted} chunks`);
+
+      // Vertical rays over a grid covering the level
+      const steps = 20;
+      const from = new THREE.Vector3();
+      const to = new THREE.Vector3();
+      for (let i = 0; i < steps; i++) {
+        for (let j = 0; j < steps; j++) {
+          const x = bounds.min.x + ((i + 0.5) / steps) * (bounds.max.x - bounds.min.x);
+          const z = bounds.min.z + ((j + 0.5) / steps) * (bounds.max.z - bounds.min.z);
+          from.set(x, bounds.max.y + 1, z);
+          to.set(x, bounds.min.y - 1, z);
+          const hit = manager.raycast(from, to);
+          const expected = reference.raycast(from, to);
+          const label = `ray at (${x.toFixed(2)}, ${z.toFixed(2)})`;
+          assert(!hit === !expected, `${label}: ${hit ? hit.name : 'miss'} instead of ${expected ? expected.name : 'miss'}`);
+          if (!hit) continue;
+          assert(hit.name === expected.name && hit.chunkId === expected.chunkId, `${label}: hit ${hit.name} instead of ${expected.name}`);
+          assert(hit.point.distanceTo(expected.point) < 1e-3, `${label}: hit point moved by ${hit.point.distanceTo(expected.point)}`);
+        }
+      }
+    }
+  },
+  {
+    // Props stream with the cell they are in, not the one they spawned in
+    name: 'props follow the chunk beneath them',
+    run() {
+      const manager = new PhysicsManager({ ...LEVEL_PHYSICS_OPTIONS, loadRadius: 3, unloadRadius: 4, guaranteeRadius: 1, behindRadius: 2 });
+      const world = new CANNON.World();
+      world.gravity.set(0, -9.82, 0);
+      manager.setWorld(world);
+      manager.processGeometry(createProceduralLevel());
+      const run = (point, frames) => {
+        for (let i = 0; i < frames; i++) {
+          manager.updateChunks(point);
+          world.step(1 / 60);
+        }
+      };
+      const prop = name => manager.dynamicShapes.find(entry => entry.shapeData.name === name);
+      const spawn = new THREE.Vector3(3, 0.5, 3);
+      const north = new THREE.Vector3(-8, 0.5, 8);
+      const south = new THREE.Vector3(-8, 0.5, -8);
+      run(spawn, 60);
+
+      // Pushed into a loaded neighbour: stays in the world with that chunk
+      const pushed = prop('Prop_Crate_2');
+      const spawnChunk = pushed.chunkId;
+      run(north, 60);
+      pushed.shapeData.body.position.set(north.x, 0.4, north.z);
+      pushed.shapeData.body.wakeUp();
+      run(north, 60);
+      const owner = manager.chunks.get(pushed.chunkId);
+      assert(pushed.chunkId !== spawnChunk && owner.isLoaded, `pushed prop stayed in ${pushed.chunkId}`);
+      assert(owner.physicsBodies.includes(pushed.shapeData.body) && world.bodies.includes(pushed.shapeData.body), 'pushed prop left the world');
+
+      // Moved into an unloaded chunk: frozen until that chunk loads
+      const stray = prop('Prop_Crate_0');
+      run(spawn, 60);
+      const southChunk = manager.findNearestCell(south, [...manager.chunks.values()], null);
+      assert(!southChunk.isLoaded, `${southChunk.id} loaded from the spawn point`);
+      stray.shapeData.body.position.set(south.x, 0.4, south.z);
+      stray.shapeData.body.wakeUp();
+      run(spawn, 60);
+      assert(!stray.shapeData.body && stray.shapeData.savedState, 'stray prop kept simulating over an unloaded chunk');
+      run(south, 60);
+      const body = stray.shapeData.body;
+      assert(body && Math.abs(body.position.y - 0.4) < 0.05, `stray prop restored at height ${body && body.position.y}`);
+
+      let measured = 0;
+      manager.chunks.forEach(chunk => { measured += chunk.memoryBytes; });
+      assert(manager.collisionMemory === measured, `collision memory ${manager.collisionMemory} instead of ${measured}`);
+    }
+  }
+];
+
+/**
+ * Run every check and log one line each
+ * @param {Function} log - Output function
+ * @returns {number} Number of failed checks
+ */
+export function runLevelChecks(log) {
+  let failed = 0;
+  LEVEL_CHECKS.forEach(check => {
+    try {
+      check.run();
+      log(`ok    ${check.name}`);
+    } catch (error) {
+      failed++;
+      log(`FAIL  ${check.name}: ${error.message}`);
+    }
+  });
+  log(`${LEVEL_CHECKS.length - failed}/${LEVEL_CHECKS.length} level checks passed`);
+  return failed;
+}
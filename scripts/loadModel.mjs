@@ -0,0 +1,38 @@
+/**
+ * GLB loading for the Node scripts (baker, headless simulation)
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Resolve a model name to a path: existing paths are used as is, bare names look in assets/
+ */
+export function resolveModelPath(modelName) {
+  return fs.existsSync(modelName) ? modelName : path.join(ROOT, 'assets', modelName);
+}
+
+/**
+ * Parse a GLB file; textures are skipped since only geometry matters for collision
+ */
+export function loadModel(modelPath) {
+  const data = fs.readFileSync(modelPath);
+  const arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+  const loader = new GLTFLoader();
+  loader.register(() => ({
+    name: 'NODE_skip_textures',
+    loadTexture: () => Promise.resolve(null)
+  }));
+
+  return new Promise((resolve, reject) => {
+    loader.parse(arrayBuffer, '', gltf => {
+      // Clips decide which chunk a moving platform belongs to, and drive it when simulated
+      gltf.scene.animations = gltf.animations;
+      resolve(gltf.scene);
+    }, reject);
+  });
+}
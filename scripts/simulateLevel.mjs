@@ -0,0 +1,112 @@
+/**
+ * Headless level simulation
+ *
+ * Builds the same physics world as the app, drops the ball into a level and replays a
+ * scripted gravity timeline, then reports where the ball ended, what it touched and
+ * whether it fell below the reset height. Runs are deterministic.
+ *
+ * Usage: node scripts/simulateLevel.mjs [procedural | level1.glb | path/to/level.glb]
+ *          [--timeline <file.json>] [--duration <seconds>] [--json] [--verbose]
+ *        node scripts/simulateLevel.mjs --check
+ *
+ * --check runs the level processing self-checks in scripts/levelChecks.mjs instead of a level.
+ *
+ * Timeline files hold { "duration": 8, "keyframes": [{ "time": 0, "gravity": [0, -9.82, 0] }, ...] }
+ * or just the keyframe array. Each gravity is held until the next keyframe.
+ */
+import fs from 'fs';
+import path from 'path';
+import { resolveModelPath, loadModel } from './loadModel.mjs';
+
+function parseArgs(argv) {
+  const args = { level: 'procedural', timeline: null, duration: null, json: false, verbose: false, check: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--timeline') {
+      args.timeline = argv[++i];
+    } else if (argv[i] === '--duration') {
+      args.duration = parseFloat(argv[++i]);
+    } else if (argv[i] === '--json') {
+      args.json = true;
+    } else if (argv[i] === '--verbose') {
+      args.verbose = true;
+    } else if (argv[i] === '--check') {
+      args.check = true;
+    } else {
+      args.level = argv[i];
+    }
+  }
+  return args;
+}
+
+function readTimeline(timelinePath) {
+  if (!timelinePath) {
+    return { duration: null, keyframes: [] };
+  }
+  const data = JSON.parse(fs.readFileSync(timelinePath, 'utf8'));
+  return Array.isArray(data) ? { duration: null, keyframes: data } : data;
+}
+
+function formatVector(values) {
+  return `(${values.map(value => value.toFixed(2)).join(', ')})`;
+}
+
+function printReport(levelName, report) {
+  const log = console.info;
+  log(`Level ${levelName}: ${report.simulatedTime.toFixed(2)}s in ${report.steps} steps`);
+  log(`  final position ${formatVector(report.finalPosition)}, velocity ${formatVector(report.finalVelocity)}, max speed ${report.maxSpeed.toFixed(2)} m/s`);
+  if (report.reset) {
+    log(`  reset at ${report.reset.time.toFixed(2)}s (${report.reset.reason}${report.reset.trigger ? ` in ${report.reset.trigger}` : ''}) at ${formatVector(report.reset.position)}`);
+  } else {
+    log('  stayed above the reset height');
+  }
+  log(`  touched ${report.touched.length} level children:`);
+  report.touched.forEach(record => {
+    log(`    ${record.firstTime.toFixed(2)}s ${record.name} (${record.material}) x${record.contacts}, max impact ${record.maxImpactSpeed.toFixed(2)} m/s`);
+  });
+  report.triggers.forEach(trigger => {
+    log(`  entered ${trigger.kind} trigger ${trigger.name} at ${trigger.time.toFixed(2)}s`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.verbose) {
+    // PhysicsManager logs every chunk and shape; keep the report readable
+    console.log = () => {};
+  }
+
+  // Checks and the simulation are imported after silencing, since the shared PhysicsManager
+  // instance logs on import
+  if (args.check) {
+    const { runLevelChecks } = await import('./levelChecks.mjs');
+    const failed = runLevelChecks(console.info);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const { LevelSimulation } = await import('../src/LevelSimulation.js');
+  const { createProceduralLevel } = await import('../src/ProceduralLevel.js');
+
+  const timeline = readTimeline(args.timeline);
+  const model = args.level === 'procedural'
+    ? createProceduralLevel()
+    : await loadModel(resolveModelPath(args.level));
+
+  const simulation = new LevelSimulation({
+    duration: args.duration || timeline.duration || 10
+  });
+  const report = simulation.run(model, timeline.keyframes);
+
+  if (args.json) {
+    console.info(JSON.stringify(report, null, 2));
+  } else {
+    printReport(path.basename(args.level), report);
+  }
+}
+
+main().catch(error => {
+  console.error('Simulation failed:', error);
+  process.exitCode = 1;
+});
@@ -1,8 +1,25 @@
-import { Accelerometer } from 'expo-sensors'; // Removed due to vulnerabilities
+import { Accelerometer, Gyroscope } from 'expo-sensors'; // Removed due to vulnerabilities
 import * as THREE from 'three';
 
 /**
- * AccelerometerManager - Manages device accelerometer for physics control
+ * Device axis (and sign) feeding each game gravity axis for a way of holding the device.
+ * x: left/right tilt, z: tilt away/toward the player, up: device axis that points along
+ * gravity in the neutral pose (its sign is taken from the calibrated reference).
+ * Device axes follow expo-sensors: x to the screen's right, y to its top, z out of the screen.
+ */
+export const AXIS_MAPPING_PROFILES = {
+  portrait: { x: { axis: 'x', sign: -1 }, z: { axis: 'z', sign: -1 }, up: 'y' },
+  portraitUpsideDown: { x: { axis: 'x', sign: 1 }, z: { axis: 'z', sign: -1 }, up: 'y' },
+  landscapeLeft: { x: { axis: 'y', sign: 1 }, z: { axis: 'z', sign: -1 }, up: 'x' }, // Top of the device to the left
+  landscapeRight: { x: { axis: 'y', sign: -1 }, z: { axis: 'z', sign: -1 }, up: 'x' }, // Top of the device to the right
+  flat: { x: { axis: 'x', sign: -1 }, z: { axis: 'y', sign: 1 }, up: 'z' } // Lying on a table, screen up
+};
+
+/**
+ * AccelerometerManager - Manages device accelerometer for physics control.
+ * With fusion enabled, gyroscope rates carry the tilt estimate between readings and the
+ * accelerometer only corrects its drift (complementary filter), so shakes no longer read as
+ * tilt. Devices without a gyroscope keep the accelerometer low-pass filter.
  */
 export class AccelerometerManager {
   constructor(options = {}) {
@@ -11,6 +28,13 @@ export class AccelerometerManager {
     this.updateInterval = options.updateInterval || 16; // ~60fps
     this.smoothingFactor = options.smoothingFactor || 0.1; // Low-pass filter
     this.maxGravity = options.maxGravity || 20; // Maximum gravity magnitude - increased for stronger effect
+    this.calibrationSamples = options.calibrationSamples || 30; // Readings per calibration window
+    this.maxCalibrationDeviation = options.maxCalibrationDeviation || 0.03; // RMS spread (g) of a steady window
+    this.calibrationTimeout = options.calibrationTimeout || 5000; // ms before the steadiest window is accepted
+    this.autoMapping = !options.mappingProfile || options.mappingProfile === 'auto'; // Pick the profile from the reference
+    this.invertedAxes = { x: false, y: false, z: false, ...options.invertedAxes }; // Player preference per game axis
+    this.fusion = options.fusion || false; // Fuse gyroscope rates into the tilt estimate when a gyroscope exists
+    this.gyroWeight = options.gyroWeight !== undefined ? options.gyroWeight : 0.98; // Complementary filter trust in the gyro
     
     // State
     this.isActive = false;
@@ -18,18 +42,30 @@ export class AccelerometerManager {
     this.currentAcceleration = new THREE.Vector3(0, 0, 0);
     this.smoothedAcceleration = new THREE.Vector3(0, 0, 0);
     this.gravityVector = new THREE.Vector3(0, -9.82, 0);
+    this.calibration = { state: 'idle', quality: 0, deviation: null, attempts: 0, rejected: 0 };
+    this.calibrationPromise = null; // Pending calibrateReference() result
+    this.mappingProfile = this.autoMapping ? 'portrait' : options.mappingProfile; // Key of AXIS_MAPPING_PROFILES
+    this.fusionActive = false; // Gyroscope subscribed and driving the estimate
+    this.angularVelocity = new THREE.Vector3(0, 0, 0); // Last gyroscope reading (rad/s, device axes)
+    this.gyroAxis = new THREE.Vector3(); // Scratch rotation axis
+    this.gyroRotation = new THREE.Quaternion();
+    this.lastGyroTimestamp = null;
     
     // Callbacks
     this.onGravityChange = null;
     
-    // Subscription
+    // Subscriptions
     this.subscription = null;
+    this.gyroSubscription = null;
     
     console.log('AccelerometerManager initialized:', {
       sensitivity: this.sensitivity,
       updateInterval: this.updateInterval,
       smoothingFactor: this.smoothingFactor,
-      maxGravity: this.maxGravity
+      maxGravity: this.maxGravity,
+      maxCalibrationDeviation: this.maxCalibrationDeviation,
+      mappingProfile: this.autoMapping ? 'auto' : this.mappingProfile,
+      fusion: this.fusion
     });
   }
 
@@ -48,9 +84,29 @@ export class AccelerometerManager {
   }
 
   /**
-   * Start accelerometer monitoring and calibrate reference
+   * Check if gyroscope is available on device
+   */
+  async isGyroscopeAvailable() {
+    try {
+      const available = await Gyroscope.isAvailableAsync();
+      console.log('Gyroscope available:', available);
+      return available;
+    } catch (error) {
+      console.error('Error checking gyroscope availability:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Start accelerometer monitoring and calibrate reference.
+   * Calling it again while active (e.g. for a recreated GL context) keeps the running listeners.
    */
   async start() {
+    if (this.isActive) {
+      console.log('AccelerometerManager already active');
+      return true;
+    }
+
     try {
       const available = await this.isAvailable();
       if (!available) {
@@ -66,9 +122,16 @@ export class AccelerometerManager {
       // Calibrate reference and start monitoring
       await this.calibrateReference();
       
-      // Start continuous monitoring
+      // Start continuous monitoring; an overlapping start() may have subscribed meanwhile
+      if (this.subscription) {
+        this.subscription.remove();
+      }
       this.subscription = Accelerometer.addListener(this.handleAccelerometerUpdate.bind(this));
       
+      if (this.fusion) {
+        await this.startFusion();
+      }
+      
       this.isActive = true;
       console.log('AccelerometerManager started successfully');
       console.log('Reference vector:', this.referenceVector);
@@ -80,6 +143,30 @@ export class AccelerometerManager {
     }
   }
 
+  /**
+   * Subscribe to the gyroscope, or stay on the accelerometer-only path without one
+   */
+  async startFusion() {
+    const available = await this.isGyroscopeAvailable();
+    if (!available) {
+      console.warn('Gyroscope not available - using accelerometer-only tilt');
+      return false;
+    }
+
+    Gyroscope.setUpdateInterval(this.updateInterval);
+    // The estimate starts from the calibrated pose instead of converging from zero
+    this.smoothedAcceleration.copy(this.referenceVector);
+    this.lastGyroTimestamp = null;
+    // A second listener would integrate every rate twice
+    if (this.gyroSubscription) {
+      this.gyroSubscription.remove();
+    }
+    this.gyroSubscription = Gyroscope.addListener(this.handleGyroscopeUpdate.bind(this));
+    this.fusionActive = true;
+    console.log('Gyroscope fusion active (gyro weight', this.gyroWeight + ')');
+    return true;
+  }
+
   /**
    * Stop accelerometer monitoring
    */
@@ -88,21 +175,90 @@ export class AccelerometerManager {
       this.subscription.remove();
       this.subscription = null;
     }
+    if (this.gyroSubscription) {
+      this.gyroSubscription.remove();
+      this.gyroSubscription = null;
+    }
     
+    this.fusionActive = false;
     this.isActive = false;
     console.log('AccelerometerManager stopped');
   }
 
   /**
-   * Calibrate reference vector by averaging initial readings
+   * Calibrate reference vector by averaging a steady window of readings.
+   * Windows whose readings spread more than maxCalibrationDeviation (player walking or
+   * moving the phone) are rejected and a new window starts, until one is steady or
+   * calibrationTimeout passes; then the steadiest window seen so far is used.
+   * @returns {Promise<Object>} { reference, quality, deviation, steady, attempts }
    */
   async calibrateReference() {
-    return new Promise((resolve) => {
+    if (this.calibrationPromise) return this.calibrationPromise;
+
+    this.calibrationPromise = new Promise((resolve) => {
       console.log('Calibrating accelerometer reference...');
       
       let sampleCount = 0;
-      const totalSamples = 30; // Number of samples for calibration
+      let attempts = 0;
+      const totalSamples = this.calibrationSamples;
       const accumulatedVector = new THREE.Vector3(0, 0, 0);
+      const accumulatedSquares = new THREE.Vector3(0, 0, 0);
+      const bestReference = new THREE.Vector3();
+      let bestDeviation = Infinity;
+      this.calibration = { state: 'calibrating', quality: 0, deviation: null, attempts: 0, rejected: 0 };
+
+      // RMS distance of the window's readings from their mean; keeps the steadiest window
+      const closeWindow = () => {
+        const mean = accumulatedVector.clone().divideScalar(sampleCount);
+        const variance =
+          accumulatedSquares.x / sampleCount - mean.x * mean.x +
+          accumulatedSquares.y / sampleCount - mean.y * mean.y +
+          accumulatedSquares.z / sampleCount - mean.z * mean.z;
+        const deviation = Math.sqrt(Math.max(0, variance));
+        attempts++;
+        if (deviation < bestDeviation) {
+          bestDeviation = deviation;
+          bestReference.copy(mean);
+        }
+        sampleCount = 0;
+        accumulatedVector.set(0, 0, 0);
+        accumulatedSquares.set(0, 0, 0);
+        return deviation;
+      };
+
+      const finish = (steady) => {
+        clearTimeout(timeout);
+        calibrationSubscription.remove();
+        this.calibrationPromise = null;
+
+        // Without a single window (no readings) the previous reference stays
+        if (bestDeviation < Infinity) {
+          this.referenceVector.copy(bestReference);
+          this.updateAutoMapping();
+        }
+        const quality = this.getCalibrationQuality(bestDeviation);
+        this.calibration = {
+          state: steady ? 'steady' : 'unsteady',
+          quality: quality,
+          deviation: bestDeviation < Infinity ? bestDeviation : null,
+          attempts: attempts,
+          rejected: steady ? attempts - 1 : attempts
+        };
+        
+        console.log(`Calibration ${steady ? 'complete' : 'timed out'} after ${attempts} windows (quality ${quality.toFixed(2)})! Reference vector:`, {
+          x: this.referenceVector.x.toFixed(3),
+          y: this.referenceVector.y.toFixed(3),
+          z: this.referenceVector.z.toFixed(3)
+        });
+
+        resolve({
+          reference: this.referenceVector.clone(),
+          quality: quality,
+          deviation: this.calibration.deviation,
+          steady: steady,
+          attempts: attempts
+        });
+      };
       
       const calibrationSubscription = Accelerometer.addListener((data) => {
         sampleCount++;
@@ -111,30 +267,42 @@ export class AccelerometerManager {
         accumulatedVector.x += data.x;
         accumulatedVector.y += data.y; 
         accumulatedVector.z += data.z; // Keep Z axis consistent with handleAccelerometerUpdate
+        accumulatedSquares.x += data.x * data.x;
+        accumulatedSquares.y += data.y * data.y;
+        accumulatedSquares.z += data.z * data.z;
         
-        console.log(`Calibration sample ${sampleCount}/${totalSamples}: x=${data.x.toFixed(3)}, y=${data.y.toFixed(3)}, z=${data.z.toFixed(3)}`);
-        
-        if (sampleCount >= totalSamples) {
-          // Calculate average
-          this.referenceVector.set(
-            accumulatedVector.x / totalSamples,
-            accumulatedVector.y / totalSamples,
-            accumulatedVector.z / totalSamples
-          );
-          
-          // Clean up calibration subscription
-          calibrationSubscription.remove();
-          
-          console.log('Calibration complete! Reference vector:', {
-            x: this.referenceVector.x.toFixed(3),
-            y: this.referenceVector.y.toFixed(3),
-            z: this.referenceVector.z.toFixed(3)
-          });
-          
-          resolve();
+        if (sampleCount < totalSamples) return;
+
+        const deviation = closeWindow();
+        if (deviation <= this.maxCalibrationDeviation) {
+          finish(true);
+          return;
         }
+
+        this.calibration.attempts = attempts;
+        this.calibration.rejected = attempts;
+        this.calibration.deviation = deviation;
+        console.log(`Calibration window ${attempts} rejected: device moving (deviation ${deviation.toFixed(3)} > ${this.maxCalibrationDeviation})`);
       });
+
+      // A partial window still beats no reference when the device never settles
+      const timeout = setTimeout(() => {
+        if (sampleCount > 1) closeWindow();
+        finish(false);
+      }, this.calibrationTimeout);
     });
+
+    return this.calibrationPromise;
+  }
+
+  /**
+   * Map a window's deviation to a 0..1 quality score: 1 for a perfectly still device,
+   * 0.5 at maxCalibrationDeviation, approaching 0 as the spread grows
+   */
+  getCalibrationQuality(deviation) {
+    if (!Number.isFinite(deviation)) return 0;
+    const ratio = deviation / this.maxCalibrationDeviation;
+    return 1 / (1 + ratio * ratio);
   }
 
   /**
@@ -150,18 +318,26 @@ export class AccelerometerManager {
       data.z // Keep Z axis consistent
     );
 
-    // Apply smoothing (low-pass filter)
-    this.smoothedAcceleration.lerp(this.currentAcceleration, this.smoothingFactor);
+    if (this.fusionActive) {
+      // Gyro integration already moved the estimate; the accelerometer only pulls it back from drift
+      this.smoothedAcceleration.lerp(this.currentAcceleration, 1 - this.gyroWeight);
+    } else {
+      // Apply smoothing (low-pass filter)
+      this.smoothedAcceleration.lerp(this.currentAcceleration, this.smoothingFactor);
+    }
 
     // Calculate gravity vector relative to reference
     const deltaAcceleration = this.smoothedAcceleration.clone().sub(this.referenceVector);
     
-    // Apply sensitivity and create gravity vector
-    // Fix axis mapping for intuitive phone tilting (tilt right = ball rolls right, tilt away = ball rolls away)
+    // Apply sensitivity and map device axes through the profile for how the device is held
+    // (tilt right = ball rolls right, tilt away = ball rolls toward you)
+    const profile = AXIS_MAPPING_PROFILES[this.mappingProfile];
+    const inverted = this.invertedAxes;
+    const upSign = this.referenceVector[profile.up] <= 0 ? 1 : -1; // Upside-down holds read +1g on the up axis
     this.gravityVector.set(
-      -deltaAcceleration.x * this.sensitivity, // Flip X: tilt right = ball moves right
-      this.referenceVector.y - (deltaAcceleration.y * this.sensitivity * 0.5), // Less Y sensitivity
-      -deltaAcceleration.z * this.sensitivity  // Reverse Z: tilt away = ball moves toward you (reversed)
+      profile.x.sign * deltaAcceleration[profile.x.axis] * this.sensitivity * (inverted.x ? -1 : 1),
+      upSign * (this.referenceVector[profile.up] - deltaAcceleration[profile.up] * this.sensitivity * 0.5 * (inverted.y ? -1 : 1)), // Less Y sensitivity
+      profile.z.sign * deltaAcceleration[profile.z.axis] * this.sensitivity * (inverted.z ? -1 : 1)
     );
 
     // Clamp gravity magnitude
@@ -180,12 +356,35 @@ export class AccelerometerManager {
     }
   }
 
+  /**
+   * Rotate the tilt estimate by the gyroscope rate. Gravity is fixed in the world, so in
+   * device axes it turns opposite to the device.
+   */
+  handleGyroscopeUpdate(data) {
+    if (!this.isActive) return;
+
+    // Timestamps are in seconds; the first reading (or a stall) falls back to the update interval
+    let dt = this.updateInterval / 1000;
+    if (this.lastGyroTimestamp !== null && data.timestamp > this.lastGyroTimestamp) {
+      dt = Math.min(data.timestamp - this.lastGyroTimestamp, 0.1);
+    }
+    this.lastGyroTimestamp = data.timestamp !== undefined ? data.timestamp : null;
+
+    this.angularVelocity.set(data.x, data.y, data.z);
+    const rate = this.angularVelocity.length();
+    if (rate < 1e-6) return;
+
+    this.gyroRotation.setFromAxisAngle(this.gyroAxis.copy(this.angularVelocity).divideScalar(rate), -rate * dt);
+    this.smoothedAcceleration.applyQuaternion(this.gyroRotation);
+  }
+
   /**
    * Reset reference vector to current phone position (instant recalibration)
    */
   resetReference() {
     if (this.isActive && this.smoothedAcceleration) {
       this.referenceVector.copy(this.smoothedAcceleration);
+      this.updateAutoMapping();
       console.log('Reference vector reset to current position:', {
         x: this.referenceVector.x.toFixed(3),
         y: this.referenceVector.y.toFixed(3),
@@ -196,6 +395,64 @@ export class AccelerometerManager {
     }
   }
 
+  /**
+   * Pick the mapping profile from the axis gravity points along in the reference pose
+   * (only while the profile is 'auto')
+   */
+  updateAutoMapping() {
+    if (!this.autoMapping) return;
+
+    const reference = this.referenceVector;
+    const absX = Math.abs(reference.x);
+    const absY = Math.abs(reference.y);
+    const absZ = Math.abs(reference.z);
+    let profile;
+    if (absZ >= absX && absZ >= absY) {
+      profile = 'flat';
+    } else if (absY >= absX) {
+      profile = reference.y <= 0 ? 'portrait' : 'portraitUpsideDown';
+    } else {
+      profile = reference.x <= 0 ? 'landscapeLeft' : 'landscapeRight';
+    }
+
+    if (profile !== this.mappingProfile) {
+      this.mappingProfile = profile;
+      console.log('AccelerometerManager mapping profile detected:', profile);
+    }
+  }
+
+  /**
+   * Set the axis mapping profile
+   * @param {string} profile - Key of AXIS_MAPPING_PROFILES, or 'auto' to follow the calibrated reference
+   */
+  setMappingProfile(profile) {
+    if (profile !== 'auto' && !AXIS_MAPPING_PROFILES[profile]) {
+      console.warn('Unknown accelerometer mapping profile:', profile);
+      return;
+    }
+    this.autoMapping = profile === 'auto';
+    if (this.autoMapping) {
+      this.updateAutoMapping();
+    } else {
+      this.mappingProfile = profile;
+    }
+    console.log('AccelerometerManager mapping profile set to:', profile);
+  }
+
+  /**
+   * Invert the tilt response of one game axis
+   * @param {string} axis - 'x' (left/right), 'y' (vertical) or 'z' (away/toward)
+   * @param {boolean} inverted - true to reverse the axis
+   */
+  setAxisInverted(axis, inverted) {
+    if (!(axis in this.invertedAxes)) {
+      console.warn('Unknown accelerometer axis:', axis);
+      return;
+    }
+    this.invertedAxes[axis] = inverted;
+    console.log(`AccelerometerManager ${axis} axis ${inverted ? 'inverted' : 'restored'}`);
+  }
+
   /**
    * Get current gravity vector
    */
@@ -225,12 +482,14 @@ export class AccelerometerManager {
 
   /**
    * Recalibrate reference vector
+   * @returns {Promise<Object|null>} Calibration result, or null while inactive
    */
   async recalibrate() {
     if (this.isActive) {
       console.log('Recalibrating accelerometer...');
-      await this.calibrateReference();
+      return this.calibrateReference();
     }
+    return null;
   }
 
   /**
@@ -278,6 +537,24 @@ export class AccelerometerManager {
         x: this.referenceVector.x.toFixed(2),
         y: this.referenceVector.y.toFixed(2),
         z: this.referenceVector.z.toFixed(2)
+      },
+      fusion: {
+        enabled: this.fusion,
+        active: this.fusionActive, // false without a gyroscope: accelerometer low-pass only
+        gyroWeight: this.gyroWeight
+      },
+      mapping: {
+        profile: this.mappingProfile,
+        auto: this.autoMapping,
+        inverted: { ...this.invertedAxes }
+      },
+      // 'calibrating' or 'unsteady' means the player should hold the device still
+      calibration: {
+        state: this.calibration.state, // 'idle', 'calibrating', 'steady' or 'unsteady'
+        quality: this.calibration.quality.toFixed(2),
+        deviation: this.calibration.deviation !== null ? this.calibration.deviation.toFixed(3) : null,
+        attempts: this.calibration.attempts,
+        rejected: this.calibration.rejected
       }
     };
   }
@@ -296,5 +573,6 @@ export const accelerometerManager = new AccelerometerManager({
   sensitivity: 5.0, // Increased for higher responsiveness to phone movements
   updateInterval: 16, // ~60fps
   smoothingFactor: 0.12, // Slightly reduced for more immediate response
-  maxGravity: 25 // Increased maximum for stronger effect
+  maxGravity: 25, // Increased maximum for stronger effect
+  fusion: true // Steadier tilt from the gyroscope where the device has one
 });
\ No newline at end of file
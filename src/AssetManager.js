@@ -14,6 +14,11 @@ const ASSET_REGISTRY = {
     'level1.glb': require('../assets/level1.glb'),
     'level2.glb': require('../assets/level2.glb'),
     // Add more models here as needed
+  },
+  collision: {
+    // Baked with `npm run bake` (scripts/bakeChunks.mjs) - rebake after editing a level
+    'level1.collision.bin': require('../assets/level1.collision.bin'),
+    'level2.collision.bin': require('../assets/level2.collision.bin'),
   }
 };
 
@@ -214,6 +219,9 @@ export class AssetManager {
       console.log('Processing GLTF scene...');
       const scene = gltf.scene;
       
+      // Keep the clips with the scene; clone() copies them, and PhysicsManager plays them on moving platforms
+      scene.animations = gltf.animations || [];
+      
       // Ensure the scene is properly set up
       scene.traverse((child) => {
         if (child.isMesh) {
@@ -263,6 +271,44 @@ export class AssetManager {
     }
   }
 
+  /**
+   * Load a baked collision file from the assets folder
+   * @param {string} fileName - Name of the baked file (e.g., 'level1.collision.bin')
+   * @returns {Promise<ArrayBuffer|null>} Raw file contents for PhysicsManager.loadBakedChunks()
+   */
+  async loadCollisionData(fileName) {
+    try {
+      console.log(`Loading baked collision data: ${fileName}...`);
+      
+      // Check if file exists in registry
+      if (!ASSET_REGISTRY.collision[fileName]) {
+        throw new Error(`Collision file ${fileName} not found in asset registry. Please add it to ASSET_REGISTRY.collision in AssetManager.js`);
+      }
+      
+      // Load asset using registry
+      const asset = Asset.fromModule(ASSET_REGISTRY.collision[fileName]);
+      await asset.downloadAsync();
+      
+      const uri = asset.uri || asset.localUri;
+      if (!uri) {
+        throw new Error('Asset has no URI available for loading');
+      }
+      
+      const response = await fetch(uri);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const arrayBuffer = await response.arrayBuffer();
+      console.log(`Baked collision data loaded: ${arrayBuffer.byteLength} bytes`);
+      
+      return arrayBuffer;
+    } catch (error) {
+      console.error(`Failed to load collision data ${fileName}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Apply a texture to all meshes in a model
    * @param {THREE.Group} model - The 3D model
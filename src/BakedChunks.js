@@ -0,0 +1,174 @@
+/**
+ * BakedChunks - Binary collision file written by scripts/bakeChunks.mjs and
+ * read by PhysicsManager.loadBakedChunks().
+ *
+ * Layout (little endian):
+ *   uint32 magic ('DZCB'), uint32 version, uint32 header bytes, uint32 vertex count, uint32 index count
+ *   ASCII JSON header (chunk IDs, AABBs, shape descriptors), padded to 4 bytes
+ *   float32 vertex buffer (x, y, z per vertex)
+ *   uint32 index buffer
+ */
+
+export const BAKED_CHUNKS_MAGIC = 0x42435a44; // 'DZCB'
+export const BAKED_CHUNKS_VERSION = 1;
+
+const PREAMBLE_BYTES = 20;
+
+/**
+ * Encode chunks into the binary collision format
+ * @param {Array} chunks - [{ id, depth, childCount, aabb: Box3, cellAABB: Box3, shapes: [shapeData] }]
+ * @param {Object} metadata - Partitioning options and source info stored in the header
+ * @returns {ArrayBuffer}
+ */
+export function encodeBakedChunks(chunks, metadata = {}) {
+  const vertices = [];
+  const indices = [];
+
+  const header = {
+    metadata: metadata,
+    chunks: chunks.map(chunk => ({
+      id: chunk.id,
+      depth: chunk.depth,
+      childCount: chunk.childCount,
+      aabb: {
+        min: chunk.aabb.min.toArray(),
+        max: chunk.aabb.max.toArray()
+      },
+      cellAABB: chunk.cellAABB ? {
+        min: chunk.cellAABB.min.toArray(),
+        max: chunk.cellAABB.max.toArray()
+      } : undefined,
+      shapes: chunk.shapes.map(shapeData => encodeShape(shapeData, vertices, indices))
+    }))
+  };
+
+  const headerText = escapeNonAscii(JSON.stringify(header));
+  const headerBytes = align4(headerText.length);
+  const byteLength = PREAMBLE_BYTES + headerBytes + vertices.length * 4 + indices.length * 4;
+
+  const buffer = new ArrayBuffer(byteLength);
+  const view = new DataView(buffer);
+  view.setUint32(0, BAKED_CHUNKS_MAGIC, true);
+  view.setUint32(4, BAKED_CHUNKS_VERSION, true);
+  view.setUint32(8, headerBytes, true);
+  view.setUint32(12, vertices.length / 3, true);
+  view.setUint32(16, indices.length, true);
+
+  const headerView = new Uint8Array(buffer, PREAMBLE_BYTES, headerBytes);
+  for (let i = 0; i < headerBytes; i++) {
+    // Pad with spaces so the JSON stays parseable
+    headerView[i] = i < headerText.length ? headerText.charCodeAt(i) : 0x20;
+  }
+
+  let offset = PREAMBLE_BYTES + headerBytes;
+  vertices.forEach(value => {
+    view.setFloat32(offset, value, true);
+    offset += 4;
+  });
+  indices.forEach(value => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  });
+
+  return buffer;
+}
+
+/**
+ * Decode a binary collision file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} { metadata, chunks: [{ id, depth, childCount, aabb, cellAABB, shapes }] }
+ */
+export function decodeBakedChunks(buffer) {
+  const view = new DataView(buffer);
+
+  if (buffer.byteLength < PREAMBLE_BYTES || view.getUint32(0, true) !== BAKED_CHUNKS_MAGIC) {
+    throw new Error('Not a baked collision file (bad magic)');
+  }
+
+  const version = view.getUint32(4, true);
+  if (version !== BAKED_CHUNKS_VERSION) {
+    throw new Error(`Unsupported baked collision file version ${version} (expected ${BAKED_CHUNKS_VERSION})`);
+  }
+
+  const headerBytes = view.getUint32(8, true);
+  const vertexCount = view.getUint32(12, true);
+  const indexCount = view.getUint32(16, true);
+
+  const header = JSON.parse(decodeAscii(new Uint8Array(buffer, PREAMBLE_BYTES, headerBytes)));
+
+  // Copy out of the file buffer so the typed arrays are aligned regardless of the source
+  const vertexOffset = PREAMBLE_BYTES + headerBytes;
+  const indexOffset = vertexOffset + vertexCount * 12;
+  const vertices = new Float32Array(buffer.slice(vertexOffset, indexOffset));
+  const indices = new Uint32Array(buffer.slice(indexOffset, indexOffset + indexCount * 4));
+
+  header.chunks.forEach(chunk => {
+    chunk.shapes.forEach(shape => {
+      if (shape.vertexCount > 0) {
+        shape.vertices = vertices.subarray(shape.vertexStart * 3, (shape.vertexStart + shape.vertexCount) * 3);
+        shape.indices = indices.subarray(shape.indexStart, shape.indexStart + shape.indexCount);
+      }
+    });
+  });
+
+  return header;
+}
+
+/**
+ * Describe a fitted shape and append its geometry to the shared buffers
+ */
+function encodeShape(shapeData, vertices, indices) {
+  const shape = shapeData.shape;
+  const descriptor = {
+    name: shapeData.name,
+    type: shapeData.type,
+    material: shapeData.material,
+    trigger: shapeData.trigger || undefined,
+    mass: shapeData.mass || undefined,
+    position: shapeData.position.toArray(),
+    quaternion: shapeData.quaternion.toArray(),
+    offset: shapeData.offset.toArray(),
+    orientation: shapeData.orientation.toArray(),
+    vertexStart: vertices.length / 3,
+    vertexCount: 0,
+    indexStart: indices.length,
+    indexCount: 0
+  };
+
+  if (shapeData.type === 'box') {
+    descriptor.halfExtents = [shape.halfExtents.x, shape.halfExtents.y, shape.halfExtents.z];
+  } else if (shapeData.type === 'convex') {
+    shape.vertices.forEach(vertex => vertices.push(vertex.x, vertex.y, vertex.z));
+    // Hull faces are stored as triangle fans
+    shape.faces.forEach(face => {
+      for (let i = 1; i + 1 < face.length; i++) {
+        indices.push(face[0], face[i], face[i + 1]);
+      }
+    });
+    descriptor.vertexCount = shape.vertices.length;
+  } else {
+    shape.vertices.forEach(value => vertices.push(value));
+    shape.indices.forEach(value => indices.push(value));
+    descriptor.vertexCount = shape.vertices.length / 3;
+  }
+
+  descriptor.indexCount = indices.length - descriptor.indexStart;
+  return descriptor;
+}
+
+function align4(length) {
+  return Math.ceil(length / 4) * 4;
+}
+
+function escapeNonAscii(text) {
+  return text.replace(/[\u0080-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function decodeAscii(bytes) {
+  let text = '';
+  // Convert in slices to stay below the engine's argument limit
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return text;
+}
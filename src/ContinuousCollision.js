@@ -0,0 +1,133 @@
+import * as CANNON from 'cannon-es';
+
+/**
+ * ContinuousCollision - Keeps fast spheres from tunnelling through thin level geometry.
+ * Above speedThreshold the world step is split into substeps so a tracked sphere moves
+ * at most maxTravelFraction of its radius per substep. If a substep still carries the
+ * sphere center through a surface, a swept ray against the loaded chunk bodies puts it
+ * back in front of the surface.
+ */
+export class ContinuousCollision {
+  constructor(options = {}) {
+    // Configuration
+    this.speedThreshold = options.speedThreshold || 15; // m/s above which CCD kicks in
+    this.maxTravelFraction = options.maxTravelFraction || 0.5; // Max travel per substep, in radii
+    this.maxSubSteps = options.maxSubSteps || 8;
+    this.skinWidth = options.skinWidth || 0.01; // Gap left in front of a surface after a sweep hit
+
+    // State
+    this.bodies = []; // Array of { body, radius, previousPosition }
+    this.rayResult = new CANNON.RaycastResult();
+    this.rayOptions = { skipBackfaces: false };
+    this.direction = new CANNON.Vec3();
+
+    // Stats
+    this.lastSubSteps = 1;
+    this.sweepHits = 0;
+
+    console.log('ContinuousCollision initialized:', {
+      speedThreshold: this.speedThreshold,
+      maxTravelFraction: this.maxTravelFraction,
+      maxSubSteps: this.maxSubSteps
+    });
+  }
+
+  /**
+   * Enable CCD for a sphere body
+   * @param {CANNON.Body} body - Dynamic body
+   * @param {number} radius - Sphere radius
+   */
+  addBody(body, radius) {
+    this.bodies.push({ body: body, radius: radius, previousPosition: new CANNON.Vec3() });
+  }
+
+  /**
+   * Disable CCD for a body
+   */
+  removeBody(body) {
+    this.bodies = this.bodies.filter(entry => entry.body !== body);
+  }
+
+  /**
+   * Set the speed above which CCD kicks in
+   */
+  setSpeedThreshold(speedThreshold) {
+    this.speedThreshold = Math.max(0, speedThreshold);
+    console.log('ContinuousCollision speed threshold set to:', this.speedThreshold);
+  }
+
+  /**
+   * Step the world, substepping and sweeping fast bodies. Use instead of world.step(dt).
+   * @param {CANNON.World} world - Physics world
+   * @param {number} dt - Fixed time step in seconds
+   */
+  step(world, dt) {
+    // Enough substeps for the fastest tracked body to move at most maxTravelFraction radii each
+    let subSteps = 1;
+    this.bodies.forEach(entry => {
+      const speed = entry.body.velocity.length();
+      if (speed > this.speedThreshold) {
+        const maxTravel = entry.radius * this.maxTravelFraction;
+        subSteps = Math.max(subSteps, Math.ceil((speed * dt) / maxTravel));
+      }
+    });
+    subSteps = Math.min(subSteps, this.maxSubSteps);
+    this.lastSubSteps = subSteps;
+
+    const subDt = dt / subSteps;
+    for (let i = 0; i < subSteps; i++) {
+      this.bodies.forEach(entry => entry.previousPosition.copy(entry.body.position));
+      world.step(subDt);
+      this.bodies.forEach(entry => this.sweep(world, entry));
+    }
+  }
+
+  /**
+   * Check the path of a fast body since the last substep and stop it at the first surface
+   */
+  sweep(world, entry) {
+    const body = entry.body;
+    if (body.velocity.length() <= this.speedThreshold) return;
+
+    body.position.vsub(entry.previousPosition, this.direction);
+    const travel = this.direction.length();
+    if (travel === 0) return;
+
+    // Ignore the body itself while casting from its center
+    const collisionResponse = body.collisionResponse;
+    body.collisionResponse = false;
+    this.rayResult.reset();
+    const hit = world.raycastClosest(entry.previousPosition, body.position, this.rayOptions, this.rayResult);
+    body.collisionResponse = collisionResponse;
+
+    if (!hit) return;
+
+    // Back off along the path so the sphere touches the surface instead of crossing it
+    this.direction.scale(1 / travel, this.direction);
+    const normal = this.rayResult.hitNormalWorld;
+    const facing = -this.direction.dot(normal);
+    const backOff = facing > 1e-3 ? (entry.radius + this.skinWidth) / facing : entry.radius + this.skinWidth;
+    const distance = Math.max(0, this.rayResult.distance - backOff);
+    entry.previousPosition.addScaledVector(distance, this.direction, body.position);
+
+    // Drop the velocity into the surface; the contact solver applies restitution next step
+    const into = body.velocity.dot(normal);
+    if (into < 0) {
+      body.velocity.addScaledVector(-into, normal, body.velocity);
+    }
+
+    this.sweepHits++;
+  }
+
+  /**
+   * Get CCD status
+   */
+  getStatus() {
+    return {
+      speedThreshold: this.speedThreshold,
+      trackedBodies: this.bodies.length,
+      lastSubSteps: this.lastSubSteps,
+      sweepHits: this.sweepHits
+    };
+  }
+}
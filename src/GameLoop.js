@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+
+/**
+ * GameLoop - Fixed-timestep accumulator driven by requestAnimationFrame.
+ * Physics advances in fixed steps regardless of the display refresh rate, and
+ * tracked bodies are rendered interpolated between their last two physics states.
+ */
+export class GameLoop {
+  constructor(options = {}) {
+    // Configuration
+    this.fixedTimeStep = options.fixedTimeStep || 1 / 60; // Seconds per physics step
+    this.maxSubSteps = options.maxSubSteps || 5; // Steps per frame before time is dropped
+    this.maxFrameTime = options.maxFrameTime || 0.25; // Clamp for long stalls (app in background, debugger)
+
+    // Callbacks
+    this.onFixedUpdate = options.onFixedUpdate || null; // (fixedTimeStep) => void
+    this.onRender = options.onRender || null; // (alpha, frameTime) => void
+
+    // State
+    this.isRunning = false;
+    this.accumulator = 0;
+    this.lastTime = null;
+    this.frameHandle = null;
+    this.interpolatedBodies = []; // Array of { body, object, previous/current position and quaternion }
+
+    // Stats
+    this.stepCount = 0;
+    this.lastSubSteps = 0;
+    this.droppedTime = 0; // Seconds skipped because maxSubSteps was reached
+
+    this.tick = this.tick.bind(this);
+
+    console.log('GameLoop initialized:', {
+      fixedTimeStep: this.fixedTimeStep,
+      maxSubSteps: this.maxSubSteps,
+      maxFrameTime: this.maxFrameTime
+    });
+  }
+
+  /**
+   * Render a THREE object interpolated between the physics states of a body
+   * @param {CANNON.Body} body - Physics body stepped in onFixedUpdate
+   * @param {THREE.Object3D} object - Object whose position and quaternion follow the body
+   */
+  addInterpolatedBody(body, object) {
+    const entry = {
+      body: body,
+      object: object,
+      previousPosition: new THREE.Vector3(),
+      previousQuaternion: new THREE.Quaternion(),
+      currentPosition: new THREE.Vector3(),
+      currentQuaternion: new THREE.Quaternion()
+    };
+    this.interpolatedBodies.push(entry);
+    this.snapEntry(entry);
+  }
+
+  /**
+   * Stop interpolating a body
+   */
+  removeInterpolatedBody(body) {
+    this.interpolatedBodies = this.interpolatedBodies.filter(entry => entry.body !== body);
+  }
+
+  /**
+   * Discard interpolation history after a body was teleported (reset, respawn)
+   * @param {CANNON.Body} body - Body to snap (optional, snaps all bodies if not provided)
+   */
+  snapBody(body = null) {
+    this.interpolatedBodies.forEach(entry => {
+      if (!body || entry.body === body) {
+        this.snapEntry(entry);
+      }
+    });
+  }
+
+  /**
+   * Reset one entry's history to its body's current pose
+   */
+  snapEntry(entry) {
+    entry.currentPosition.copy(entry.body.position);
+    entry.currentQuaternion.copy(entry.body.quaternion);
+    entry.previousPosition.copy(entry.currentPosition);
+    entry.previousQuaternion.copy(entry.currentQuaternion);
+    entry.object.position.copy(entry.currentPosition);
+    entry.object.quaternion.copy(entry.currentQuaternion);
+  }
+
+  /**
+   * Start the loop
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.accumulator = 0;
+    this.lastTime = null;
+    this.frameHandle = requestAnimationFrame(this.tick);
+    console.log('GameLoop started');
+  }
+
+  /**
+   * Stop the loop
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    if (this.frameHandle !== null) {
+      cancelAnimationFrame(this.frameHandle);
+      this.frameHandle = null;
+    }
+    console.log('GameLoop stopped');
+  }
+
+  /**
+   * requestAnimationFrame callback
+   */
+  tick(now = performance.now()) {
+    if (!this.isRunning) return;
+
+    try {
+      this.advance(now);
+    } catch (error) {
+      console.error('GameLoop error:', error);
+    }
+
+    this.frameHandle = requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * Run the fixed steps owed for the elapsed time, then render once
+   * @param {number} now - Timestamp in milliseconds
+   */
+  advance(now) {
+    if (this.lastTime === null) {
+      this.lastTime = now;
+    }
+
+    const frameTime = Math.min((now - this.lastTime) / 1000, this.maxFrameTime);
+    this.lastTime = now;
+    this.accumulator += frameTime;
+
+    let subSteps = 0;
+    while (this.accumulator >= this.fixedTimeStep && subSteps < this.maxSubSteps) {
+      this.savePreviousStates();
+      if (this.onFixedUpdate) {
+        this.onFixedUpdate(this.fixedTimeStep);
+      }
+      this.saveCurrentStates();
+
+      this.accumulator -= this.fixedTimeStep;
+      this.stepCount++;
+      subSteps++;
+    }
+    this.lastSubSteps = subSteps;
+
+    // Too slow to keep up: drop whole steps instead of spiralling further behind
+    if (this.accumulator >= this.fixedTimeStep) {
+      const remainder = this.accumulator % this.fixedTimeStep;
+      this.droppedTime += this.accumulator - remainder;
+      this.accumulator = remainder;
+    }
+
+    const alpha = this.accumulator / this.fixedTimeStep;
+    this.interpolate(alpha);
+
+    if (this.onRender) {
+      this.onRender(alpha, frameTime);
+    }
+  }
+
+  /**
+   * Remember the last physics state before a step
+   */
+  savePreviousStates() {
+    this.interpolatedBodies.forEach(entry => {
+      entry.previousPosition.copy(entry.currentPosition);
+      entry.previousQuaternion.copy(entry.currentQuaternion);
+    });
+  }
+
+  /**
+   * Capture the physics state after a step
+   */
+  saveCurrentStates() {
+    this.interpolatedBodies.forEach(entry => {
+      entry.currentPosition.copy(entry.body.position);
+      entry.currentQuaternion.copy(entry.body.quaternion);
+    });
+  }
+
+  /**
+   * Blend rendered objects between the last two physics states
+   */
+  interpolate(alpha) {
+    this.interpolatedBodies.forEach(entry => {
+      entry.object.position.lerpVectors(entry.previousPosition, entry.currentPosition, alpha);
+      entry.object.quaternion.slerpQuaternions(entry.previousQuaternion, entry.currentQuaternion, alpha);
+    });
+  }
+
+  /**
+   * Get loop status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      fixedTimeStep: this.fixedTimeStep,
+      maxSubSteps: this.maxSubSteps,
+      stepCount: this.stepCount,
+      lastSubSteps: this.lastSubSteps,
+      alpha: this.accumulator / this.fixedTimeStep,
+      droppedTime: this.droppedTime
+    };
+  }
+}
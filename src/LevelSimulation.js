@@ -0,0 +1,164 @@
+import { PhysicsManager, LEVEL_PHYSICS_OPTIONS } from './PhysicsManager.js';
+import { ContinuousCollision } from './ContinuousCollision.js';
+import { materialRegistry } from './PhysicsMaterials.js';
+import {
+  createPhysicsWorld,
+  createPlayerBody,
+  PLAYER_RADIUS,
+  PLAYER_SPAWN,
+  RESET_HEIGHT,
+  FIXED_TIME_STEP,
+  CONTINUOUS_COLLISION_OPTIONS
+} from './PhysicsWorld.js';
+
+/**
+ * LevelSimulation - Runs a level without rendering, for regression checks in Node.
+ * The world, ball, continuous collision and per-step order match the app's game loop;
+ * gravity follows a scripted timeline instead of the accelerometer.
+ * Chunks stream without the wall-clock frame budget, so repeated runs give identical results.
+ */
+export class LevelSimulation {
+  constructor(options = {}) {
+    // Configuration
+    this.timeStep = options.timeStep || FIXED_TIME_STEP;
+    this.duration = options.duration || 10; // Seconds of game time to simulate
+    this.resetHeight = options.resetHeight !== undefined ? options.resetHeight : RESET_HEIGHT;
+    this.spawn = options.spawn || PLAYER_SPAWN;
+    this.stopOnReset = options.stopOnReset !== false; // End the run when the ball falls or hits a kill zone
+    this.sampleInterval = options.sampleInterval || 0.5; // Seconds between path samples in the report
+    this.physicsOptions = options.physicsOptions || LEVEL_PHYSICS_OPTIONS;
+    this.materials = options.materials || materialRegistry;
+  }
+
+  /**
+   * Simulate a level under a gravity timeline
+   * @param {THREE.Object3D} model - Level model; a clone is simulated, so the model can be reused
+   * @param {Array} timeline - [{ time, gravity: [x, y, z] }], each gravity held until the next keyframe
+   * @returns {Object} Report: final state, touched level children, triggers and whether the ball was reset
+   */
+  run(model, timeline = []) {
+    const keyframes = timeline.slice().sort((a, b) => a.time - b.time);
+
+    const world = createPhysicsWorld(this.materials);
+    const manager = new PhysicsManager({
+      ...this.physicsOptions,
+      materials: this.materials,
+      maxBodiesPerFrame: Infinity, // Wall-clock budgets would make chunk loading order vary between runs
+      frameBudgetMs: Infinity
+    });
+    manager.setWorld(world);
+    manager.processGeometry(model.clone());
+
+    const player = createPlayerBody(this.materials);
+    player.position.set(...this.spawn);
+    world.addBody(player);
+
+    const continuousCollision = new ContinuousCollision(CONTINUOUS_COLLISION_OPTIONS);
+    continuousCollision.addBody(player, PLAYER_RADIUS);
+
+    // Record what the ball touches
+    let time = 0;
+    const touched = new Map(); // Map<string, touch record>
+    const triggers = [];
+    let killZone = null;
+
+    manager.on('collide', (eventData) => {
+      let record = touched.get(eventData.name);
+      if (!record) {
+        record = {
+          name: eventData.name,
+          chunkId: eventData.chunkId,
+          material: eventData.material,
+          contacts: 0,
+          firstTime: round(time),
+          maxImpactSpeed: 0
+        };
+        touched.set(eventData.name, record);
+      }
+      record.contacts++;
+      record.maxImpactSpeed = Math.max(record.maxImpactSpeed, round(eventData.impactSpeed));
+    });
+
+    manager.on('triggerEnter', (eventData) => {
+      triggers.push({ kind: eventData.kind, name: eventData.name, time: round(time) });
+      if (eventData.kind === 'kill' && !killZone) {
+        killZone = eventData.name;
+      }
+    });
+
+    // Same per-step order as the app's onFixedUpdate
+    const totalSteps = Math.round(this.duration / this.timeStep);
+    const path = [];
+    let keyframeIndex = -1;
+    let nextSample = 0;
+    let maxSpeed = 0;
+    let reset = null;
+    let steps = 0;
+
+    for (steps = 0; steps < totalSteps; steps++) {
+      time = steps * this.timeStep;
+
+      // Latest keyframe at or before this step, as if the accelerometer had just reported it
+      while (keyframeIndex + 1 < keyframes.length && keyframes[keyframeIndex + 1].time <= time + 1e-9) {
+        keyframeIndex++;
+        world.gravity.set(...keyframes[keyframeIndex].gravity);
+      }
+
+      if (time >= nextSample - 1e-9) {
+        path.push({ time: round(time), position: toArray(player.position) });
+        nextSample += this.sampleInterval;
+      }
+
+      manager.updateChunks(player);
+      manager.updateAnimations(this.timeStep);
+      continuousCollision.step(world, this.timeStep);
+      manager.updateDynamicMeshes();
+
+      maxSpeed = Math.max(maxSpeed, player.velocity.length());
+      time = (steps + 1) * this.timeStep;
+
+      if (!reset && (player.position.y < this.resetHeight || killZone)) {
+        reset = {
+          reason: killZone ? 'kill' : 'fall',
+          trigger: killZone,
+          time: round(time),
+          position: toArray(player.position)
+        };
+        if (this.stopOnReset) {
+          steps++;
+          break;
+        }
+      }
+    }
+
+    const status = manager.getStatus();
+    const report = {
+      steps: steps,
+      simulatedTime: round(steps * this.timeStep),
+      finalPosition: toArray(player.position),
+      finalVelocity: toArray(player.velocity),
+      maxSpeed: round(maxSpeed),
+      fellBelowResetHeight: !!reset && reset.reason === 'fall',
+      reset: reset,
+      touched: Array.from(touched.values()).sort((a, b) => a.firstTime - b.firstTime),
+      triggers: triggers,
+      path: path,
+      chunks: {
+        total: status.totalChunks,
+        loaded: status.loadedChunks
+      }
+    };
+
+    manager.cleanup();
+    return report;
+  }
+}
+
+// Round reported numbers so reports compare cleanly as JSON
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function toArray(vector) {
+  return [round(vector.x), round(vector.y), round(vector.z)];
+}
@@ -0,0 +1,223 @@
+import * as THREE from 'three';
+
+// Chunk AABB colors by streaming state
+const CHUNK_COLORS = {
+  loaded: 0x00ff66,
+  unloaded: 0x555577,
+  queuedLoad: 0xffdd00,
+  queuedUnload: 0xff7700
+};
+
+// Collision shape colors by kind
+const SHAPE_COLORS = {
+  static: 0x00ffff,
+  dynamic: 0xff00ff,
+  trigger: 0xff3333
+};
+
+const RING_SEGMENTS = 64;
+
+/**
+ * PhysicsDebugRenderer - Draws the PhysicsManager state as wireframes: every loaded
+ * collision shape at its body's pose, the AABB of every chunk colored by streaming state
+ * and the load/unload radius rings around the player.
+ * Nothing is created until it is enabled, and disabling it disposes everything,
+ * so update() is the only cost while it is off.
+ */
+export class PhysicsDebugRenderer {
+  constructor(scene, manager, options = {}) {
+    this.scene = scene;
+    this.manager = manager;
+    this.showShapes = options.showShapes !== false;
+    this.showChunks = options.showChunks !== false;
+    this.showRadii = options.showRadii !== false;
+
+    // State
+    this.enabled = false;
+    this.group = null;
+    this.shapeLines = new Map(); // Map<shape data, THREE.LineSegments> of loaded shapes
+    this.chunkBoxes = new Map(); // Map<string, THREE.Box3Helper>
+    this.rings = null; // { load, unload } circle lines
+  }
+
+  /**
+   * Show or hide the debug layer
+   * @param {boolean} enabled - true to draw, false to remove and dispose everything
+   */
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+
+    if (enabled) {
+      this.group = new THREE.Group();
+      this.group.name = 'PhysicsDebug';
+      this.scene.add(this.group);
+      this.update();
+    } else {
+      this.dispose();
+    }
+    console.log(`PhysicsDebugRenderer: ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Toggle the debug layer
+   * @returns {boolean} New state
+   */
+  toggle() {
+    this.setEnabled(!this.enabled);
+    return this.enabled;
+  }
+
+  /**
+   * Sync the wireframes with the physics state. Call once per rendered frame.
+   */
+  update() {
+    if (!this.enabled) return;
+
+    if (this.showShapes) this.updateShapes();
+    if (this.showChunks) this.updateChunks();
+    if (this.showRadii) this.updateRings();
+  }
+
+  /**
+   * Add wireframes for newly loaded shapes, drop unloaded ones and follow moving bodies
+   */
+  updateShapes() {
+    const seen = new Set();
+    this.manager.chunks.forEach(chunk => {
+      if (!chunk.isLoaded) return;
+      chunk.shapes.forEach(shapeData => {
+        const body = shapeData.body;
+        if (!body) return;
+        seen.add(shapeData);
+
+        let lines = this.shapeLines.get(shapeData);
+        if (!lines) {
+          lines = this.createShapeLines(shapeData);
+          this.shapeLines.set(shapeData, lines);
+          this.group.add(lines);
+        }
+        lines.position.set(body.position.x, body.position.y, body.position.z);
+        lines.quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+      });
+    });
+
+    this.shapeLines.forEach((lines, shapeData) => {
+      if (seen.has(shapeData)) return;
+      this.disposeObject(lines);
+      this.shapeLines.delete(shapeData);
+    });
+  }
+
+  /**
+   * Build the wireframe of a shape in body space from its query triangles
+   */
+  createShapeLines(shapeData) {
+    const mesh = this.manager.shapeQueries.getQueryMesh(shapeData);
+    const triangles = new THREE.BufferGeometry();
+    triangles.setAttribute('position', new THREE.BufferAttribute(mesh.triangles, 3));
+
+    // Edges between coplanar triangles are skipped, so boxes show as boxes
+    const geometry = new THREE.EdgesGeometry(triangles, 1);
+    triangles.dispose();
+
+    let color = SHAPE_COLORS.static;
+    if (shapeData.trigger) color = SHAPE_COLORS.trigger;
+    else if (shapeData.mass > 0) color = SHAPE_COLORS.dynamic;
+
+    const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: color }));
+    lines.name = `debug_${shapeData.name}`;
+    return lines;
+  }
+
+  /**
+   * Draw every chunk AABB in the color of its streaming state
+   */
+  updateChunks() {
+    this.manager.chunks.forEach((chunk, id) => {
+      let helper = this.chunkBoxes.get(id);
+      if (!helper) {
+        helper = new THREE.Box3Helper(chunk.aabb, CHUNK_COLORS.unloaded);
+        helper.name = `debug_${id}`;
+        this.chunkBoxes.set(id, helper);
+        this.group.add(helper);
+      }
+
+      let color = chunk.isLoaded ? CHUNK_COLORS.loaded : CHUNK_COLORS.unloaded;
+      if (chunk.queueState === 'load') color = CHUNK_COLORS.queuedLoad;
+      else if (chunk.queueState === 'unload') color = CHUNK_COLORS.queuedUnload;
+      helper.material.color.setHex(color);
+    });
+
+    // Chunks of a previous level
+    this.chunkBoxes.forEach((helper, id) => {
+      if (this.manager.chunks.has(id)) return;
+      this.disposeObject(helper);
+      this.chunkBoxes.delete(id);
+    });
+  }
+
+  /**
+   * Center the load and unload radius rings on the player
+   */
+  updateRings() {
+    if (!this.rings) {
+      this.rings = {
+        load: this.createRing(CHUNK_COLORS.loaded),
+        unload: this.createRing(CHUNK_COLORS.queuedUnload)
+      };
+      this.group.add(this.rings.load, this.rings.unload);
+    }
+
+    const position = this.manager.playerPosition;
+    this.rings.load.position.copy(position);
+    this.rings.load.scale.setScalar(this.manager.loadRadius);
+    this.rings.unload.position.copy(position);
+    this.rings.unload.scale.setScalar(this.manager.unloadRadius);
+  }
+
+  /**
+   * Unit circle in the XZ plane, scaled to a radius in updateRings()
+   */
+  createRing(color) {
+    const points = [];
+    for (let i = 0; i < RING_SEGMENTS; i++) {
+      const angle = (i / RING_SEGMENTS) * Math.PI * 2;
+      points.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+    }
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    return new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({ color: color }));
+  }
+
+  /**
+   * Remove an object from the debug group and free its GPU resources
+   */
+  disposeObject(object) {
+    if (object.parent) {
+      object.parent.remove(object);
+    }
+    object.geometry.dispose();
+    object.material.dispose();
+  }
+
+  /**
+   * Remove and dispose all debug objects
+   */
+  dispose() {
+    this.shapeLines.forEach(lines => this.disposeObject(lines));
+    this.chunkBoxes.forEach(helper => this.disposeObject(helper));
+    if (this.rings) {
+      this.disposeObject(this.rings.load);
+      this.disposeObject(this.rings.unload);
+    }
+    this.shapeLines.clear();
+    this.chunkBoxes.clear();
+    this.rings = null;
+
+    if (this.group) {
+      this.scene.remove(this.group);
+      this.group = null;
+    }
+    this.enabled = false;
+  }
+}
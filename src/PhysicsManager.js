@@ -1,142 +1,296 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { ShapeFitter } from './ShapeFitter.js';
+import { ShapeQueries } from './ShapeQueries.js';
+import { encodeBakedChunks, decodeBakedChunks } from './BakedChunks.js';
+import { materialRegistry } from './PhysicsMaterials.js';
+
+// Matches e.g. "Trigger_Goal", "Trigger-Kill.001" or "Trigger_Checkpoint_2", but not "TriggeredDoor"
+const TRIGGER_NAME_PATTERN = /^trigger(?:[_\-\s.]+([a-z]+)?|$)/i;
+
+// Matches e.g. "Dynamic_Crate", "Prop-Domino.004" or "prop_block_2"
+const DYNAMIC_NAME_PATTERN = /^(?:dynamic|prop)(?:[_\-\s.]|$)/i;
+
+// Collision filter groups: triggers only pair with bodies outside the level (the ball),
+// never with the floor or walls they overlap. Other bodies keep cannon's default group 1.
+const LEVEL_COLLISION_GROUP = 2;
+const TRIGGER_COLLISION_GROUP = 4;
+
+// Level of processGeometry() / loadBakedChunks() calls without a level ID; its chunk IDs have no prefix
+export const DEFAULT_LEVEL_ID = 'default';
+
+const animatedPoseMatrix = new THREE.Matrix4();
+const animatedPoseScale = new THREE.Vector3();
+const poolPosition = new THREE.Vector3();
+const poolQuaternion = new THREE.Quaternion();
+
+/**
+ * Get the pose a body should have for the current pose of its animated node
+ * @param {Object} shapeData - Shape with an animation link ({ node, bodyOffset })
+ * @param {THREE.Vector3} position - Receives the body position
+ * @param {THREE.Quaternion} quaternion - Receives the body rotation
+ */
+function getAnimatedPose(shapeData, position, quaternion) {
+  const animation = shapeData.animation;
+  animatedPoseMatrix.multiplyMatrices(animation.node.matrixWorld, animation.bodyOffset);
+  // Scale keys are not supported by rigid bodies; the fitted shape keeps its bind-pose size
+  animatedPoseMatrix.decompose(position, quaternion, animatedPoseScale);
+}
+
+// Rough per-object sizes for collision memory accounting
+const VEC3_BYTES = 48; // CANNON.Vec3: three doubles plus object header
+const ARRAY_ENTRY_BYTES = 8;
+const SHAPE_BASE_BYTES = 256; // Shape object, fitted shape data and its THREE vectors
+
+/**
+ * Estimate the memory held by a fitted shape's collision data
+ * @param {Object} shapeData - Fitted shape data
+ * @returns {number} Bytes
+ */
+function estimateShapeBytes(shapeData) {
+  const shape = shapeData.shape;
+  if (!shape) return 0;
+
+  let bytes = SHAPE_BASE_BYTES;
+  const polyhedron = shapeData.type === 'box' ? shape.convexPolyhedronRepresentation : shape;
+  if (shapeData.type === 'trimesh') {
+    ['vertices', 'indices', 'normals', 'edges'].forEach(key => {
+      if (shape[key]) bytes += shape[key].byteLength;
+    });
+    // The triangle AABB tree holds roughly one node per few triangles
+    bytes += (shape.indices.length / 3) * VEC3_BYTES;
+  } else if (polyhedron) {
+    const axes = polyhedron.uniqueAxes ? polyhedron.uniqueAxes.length : 0;
+    bytes += (polyhedron.vertices.length + polyhedron.faceNormals.length + axes + polyhedron.uniqueEdges.length) * VEC3_BYTES;
+    polyhedron.faces.forEach(face => {
+      bytes += face.length * ARRAY_ENTRY_BYTES;
+    });
+  }
+  if (shapeData.queryMesh) {
+    bytes += shapeData.queryMesh.triangles.byteLength + shapeData.queryMesh.normals.byteLength;
+  }
+  return bytes;
+}
+
+/**
+ * Pick the hit with the smallest distance
+ * @param {Array} hits - Hits with a distance
+ * @returns {Object|null}
+ */
+function getNearestHit(hits) {
+  let nearest = null;
+  hits.forEach(hit => {
+    if (!nearest || hit.distance < nearest.distance) nearest = hit;
+  });
+  return nearest;
+}
 
 /**
- * Physics chunk containing trimeshes and bounding box
+ * Physics chunk containing fitted collision shapes and bounding box
  */
 class PhysicsChunk {
   constructor(id, aabb) {
     this.id = id;
-    this.aabb = aabb; // THREE.Box3
-    this.trimeshes = []; // Array of CANNON.Trimesh objects
+    this.aabb = aabb; // THREE.Box3 covering the cell and every mesh assigned to it
+    this.cellAABB = aabb; // Octree cell; cells never overlap, so a point lies in at most one
+    this.depth = 0; // Octree depth
+    this.shapes = []; // Array of fitted shape data (box, convex or trimesh)
     this.physicsBodies = []; // Array of CANNON.Body objects
     this.isLoaded = false;
-    this.meshChildren = []; // Original mesh children for trimesh generation
+    this.meshChildren = []; // Original mesh children for shape generation
+    this.validationResults = []; // Collision vs. render AABB comparisons from the last load
+    this.queryStamp = 0; // Last spatial query that visited this chunk (deduplicates multi-cell chunks)
+    this.queueState = null; // 'load' or 'unload' while waiting in a PhysicsManager queue
+    this.queueDistance = 0; // Distance to the player when the queue was last sorted
+    this.bodiesCreated = 0; // Bodies allocated on load
+    this.bodiesReused = 0; // Loads served by a pooled body instead of an allocation
+    this.isResident = true; // Collision data in memory; false after eviction
+    this.memoryBytes = 0; // Estimated collision data size while resident
+    this.shapeCache = null; // Compact baked copy of the shapes, written on the first eviction
+    this.lastUsedFrame = 0; // Last streaming frame the chunk was loaded or queried (LRU order)
+    this.level = null; // PhysicsLevel the chunk belongs to
   }
 
   /**
-   * Generate trimeshes from mesh children
+   * Fit collision shapes to mesh children
+   * @param {ShapeFitter} shapeFitter - Picks box, convex or trimesh per child
+   * @param {MaterialRegistry} materials - Resolves each child's physics material name
+   * @param {Function} resolveTrigger - Returns the trigger kind for a child, or null for solid geometry
+   * @param {Function} resolveMass - Returns the mass of a dynamic prop, or 0 for static geometry
    */
-  generateTrimeshes() {
-    console.log(`Generating trimeshes for chunk ${this.id} with ${this.meshChildren.length} children`);
+  generateShapes(shapeFitter, materials, resolveTrigger, resolveMass) {
+    console.log(`Generating shapes for chunk ${this.id} with ${this.meshChildren.length} children`);
     
     this.meshChildren.forEach((child, index) => {
       if (child.isMesh && child.geometry) {
+        const name = child.name || `child_${index}`;
         try {
-          // Get geometry vertices and faces
-          const geometry = child.geometry;
-          
           // Ensure geometry has position attribute
-          if (!geometry.attributes.position) {
-            console.warn(`Mesh ${child.name || `child_${index}`} has no position attribute`);
+          if (!child.geometry.attributes.position) {
+            console.warn(`Mesh ${name} has no position attribute`);
             return;
           }
 
-          // Convert BufferGeometry to trimesh format
-          const vertices = [];
-          const indices = [];
+          // Bake the full world matrix (parents, rotation and non-uniform scale) into the shape
+          child.updateWorldMatrix(true, false);
+          const trigger = resolveTrigger(child);
+          let fitted = trigger
+            ? shapeFitter.fitVolume(child.geometry, child.matrixWorld)
+            : shapeFitter.fitGeometry(child.geometry, child.matrixWorld);
+          if (!fitted) return;
           
-          const positionAttribute = geometry.attributes.position;
-          
-          // Extract vertices
-          for (let i = 0; i < positionAttribute.count; i++) {
-            vertices.push(
-              positionAttribute.getX(i),
-              positionAttribute.getY(i),
-              positionAttribute.getZ(i)
-            );
-          }
-          
-          // Extract indices (faces)
-          if (geometry.index) {
-            // Indexed geometry
-            const indexAttribute = geometry.index;
-            for (let i = 0; i < indexAttribute.count; i++) {
-              indices.push(indexAttribute.getX(i));
-            }
-          } else {
-            // Non-indexed geometry
-            for (let i = 0; i < positionAttribute.count; i++) {
-              indices.push(i);
-            }
+          const mass = trigger ? 0 : resolveMass(child, fitted.shape);
+          if (mass > 0 && fitted.type === 'trimesh') {
+            // cannon cannot simulate dynamic trimeshes; a prop gets its bounding box instead
+            fitted = shapeFitter.fitVolume(child.geometry, child.matrixWorld);
           }
           
-          // Create CANNON trimesh
-          const trimesh = new CANNON.Trimesh(vertices, indices);
-          
-          // Apply world transform to trimesh
-          const worldPosition = new THREE.Vector3();
-          const worldQuaternion = new THREE.Quaternion();
-          const worldScale = new THREE.Vector3();
-          
-          child.getWorldPosition(worldPosition);
-          child.getWorldQuaternion(worldQuaternion);
-          child.getWorldScale(worldScale);
-          
-          // Store trimesh with transform data
-          this.trimeshes.push({
-            trimesh: trimesh,
-            position: worldPosition.clone(),
-            quaternion: worldQuaternion.clone(),
-            scale: worldScale.clone(),
-            name: child.name || `trimesh_${index}`
+          // Store shape with transform data; vertices are world-aligned, so the body needs no rotation
+          this.shapes.push({
+            shape: fitted.shape,
+            type: fitted.type,
+            offset: fitted.offset,
+            orientation: fitted.orientation,
+            position: fitted.position,
+            quaternion: new THREE.Quaternion(),
+            material: materials.resolveName(child),
+            trigger: trigger,
+            mass: mass,
+            savedState: null, // Dynamic prop pose and motion while its chunk is unloaded
+            pooledBody: null, // Body kept across unloads, created on the first load
+            child: child,
+            name: name
           });
           
-          console.log(`Created trimesh for ${child.name || `child_${index}`}: ${vertices.length / 3} vertices, ${indices.length / 3} faces`);
+          console.log(`Created ${fitted.type} shape for ${name}: ${fitted.vertexCount} vertices, ${fitted.faceCount} faces`);
           
         } catch (error) {
-          console.error(`Failed to create trimesh for ${child.name || `child_${index}`}:`, error);
+          console.error(`Failed to create shape for ${name}:`, error);
         }
       }
     });
     
-    console.log(`Generated ${this.trimeshes.length} trimeshes for chunk ${this.id}`);
+    console.log(`Generated ${this.shapes.length} shapes for chunk ${this.id}`);
   }
 
   /**
-   * Add chunk to physics world
+   * Estimate the memory held by the chunk's collision data
    */
-  addToWorld(world) {
+  measureMemory() {
+    this.memoryBytes = this.shapes.reduce((bytes, shapeData) => bytes + estimateShapeBytes(shapeData), 0);
+    return this.memoryBytes;
+  }
+
+  /**
+   * Check whether the chunk can be evicted: animated and dynamic shapes stay resident,
+   * since the mixer, prop meshes and queries keep working on them while the chunk is unloaded
+   */
+  isEvictable() {
+    return this.isResident && !this.isLoaded && !this.queueState &&
+      !this.shapes.some(shapeData => shapeData.mass > 0 || shapeData.animation);
+  }
+
+  /**
+   * Drop the collision data of an unloaded chunk, keeping the shape descriptions
+   * (names, materials, poses, saved state) so links to them stay valid
+   * @returns {number} Bytes released
+   */
+  evictShapes() {
+    if (!this.isResident || this.isLoaded) return 0;
+
+    if (!this.shapeCache) {
+      this.shapeCache = encodeBakedChunks([{
+        id: this.id,
+        depth: this.depth,
+        childCount: this.meshChildren.length,
+        aabb: this.aabb,
+        cellAABB: this.cellAABB,
+        shapes: this.shapes
+      }]);
+    }
+
+    this.shapes.forEach(shapeData => {
+      shapeData.shape = null;
+      shapeData.queryMesh = null;
+      shapeData.pooledBody = null;
+    });
+
+    const released = this.memoryBytes;
+    this.memoryBytes = 0;
+    this.isResident = false;
+    return released;
+  }
+
+  /**
+   * Rebuild evicted collision data from the shape cache
+   * @param {Function} createShape - Builds fitted shape data from a baked descriptor
+   * @returns {number} Bytes allocated
+   */
+  restoreShapes(createShape) {
+    if (this.isResident) return 0;
+
+    const descriptors = decodeBakedChunks(this.shapeCache).chunks[0].shapes;
+    this.shapes.forEach((shapeData, index) => {
+      shapeData.shape = createShape(descriptors[index]).shape;
+    });
+
+    this.isResident = true;
+    return this.measureMemory();
+  }
+
+  /**
+   * Count shapes per type
+   */
+  getShapeTypeCounts() {
+    const counts = { box: 0, convex: 0, trimesh: 0 };
+    this.shapes.forEach(shapeData => {
+      counts[shapeData.type]++;
+    });
+    return counts;
+  }
+
+  /**
+   * Add chunk to physics world. Each shape's body is created on the first load and kept
+   * (in shapeData.pooledBody) for later loads, so crossing a chunk boundary back and forth allocates nothing.
+   * @param {CANNON.World} world - Physics world
+   * @param {Object} options - { materials: MaterialRegistry, validation: { tolerance } or null }
+   */
+  addToWorld(world, options) {
     if (this.isLoaded) return;
     
-    console.log(`Loading chunk ${this.id} with ${this.trimeshes.length} trimeshes`);
+    const { materials, validation } = options;
+    
+    console.log(`Loading chunk ${this.id} with ${this.shapes.length} shapes`);
+    this.validationResults = [];
     
-    this.trimeshes.forEach((trimeshData, index) => {
+    this.shapes.forEach((shapeData, index) => {
       try {
-        const body = new CANNON.Body({ 
-          mass: 0, // Static body
-          type: CANNON.Body.KINEMATIC 
-        });
-        
-        body.addShape(trimeshData.trimesh);
-        
-        // Apply transform
-        body.position.set(
-          trimeshData.position.x,
-          trimeshData.position.y,
-          trimeshData.position.z
-        );
+        let body = shapeData.pooledBody;
+        if (body) {
+          this.bodiesReused++;
+        } else {
+          body = this.createBody(shapeData);
+          shapeData.pooledBody = body;
+          this.bodiesCreated++;
+        }
         
-        body.quaternion.set(
-          trimeshData.quaternion.x,
-          trimeshData.quaternion.y,
-          trimeshData.quaternion.z,
-          trimeshData.quaternion.w
-        );
+        this.resetBody(body, shapeData);
         
-        // Add material for collision interaction
-        body.material = new CANNON.Material({
-          friction: 0.4,
-          restitution: 0.3
-        });
+        // Shared named material; friction and restitution come from the registered ContactMaterials
+        body.material = materials.get(shapeData.material);
         
         world.addBody(body);
         this.physicsBodies.push(body);
+        shapeData.body = body;
+        
+        if (validation && shapeData.child) {
+          this.validateBody(body, shapeData, validation.tolerance);
+        }
         
-        console.log(`Added trimesh body ${index + 1}/${this.trimeshes.length} to physics world for chunk ${this.id}`);
+        console.log(`Added ${shapeData.type} body ${index + 1}/${this.shapes.length} to physics world for chunk ${this.id}`);
         
       } catch (error) {
-        console.error(`Failed to add trimesh ${index} to world for chunk ${this.id}:`, error);
+        console.error(`Failed to add shape ${index} to world for chunk ${this.id}:`, error);
       }
     });
     
@@ -144,6 +298,117 @@ class PhysicsChunk {
     console.log(`Chunk ${this.id} loaded with ${this.physicsBodies.length} physics bodies`);
   }
 
+  /**
+   * Create the body for a shape (done once per shape; the body is pooled afterwards)
+   */
+  createBody(shapeData) {
+    const isDynamic = shapeData.mass > 0;
+    const body = new CANNON.Body({ 
+      mass: isDynamic ? shapeData.mass : 0, // Static body unless it is a dynamic prop
+      type: isDynamic ? CANNON.Body.DYNAMIC : CANNON.Body.KINEMATIC, // resetBody() makes still triggers static
+      isTrigger: !!shapeData.trigger // Reports contacts without pushing back
+    });
+    
+    if (shapeData.trigger) {
+      // Keep raycasts (CCD sweeps, queries) from hitting sensor volumes
+      body.collisionResponse = false;
+      body.collisionFilterGroup = TRIGGER_COLLISION_GROUP;
+      body.collisionFilterMask = ~(LEVEL_COLLISION_GROUP | TRIGGER_COLLISION_GROUP);
+    } else if (!isDynamic) {
+      body.collisionFilterGroup = LEVEL_COLLISION_GROUP;
+    }
+    
+    body.addShape(
+      shapeData.shape,
+      new CANNON.Vec3(shapeData.offset.x, shapeData.offset.y, shapeData.offset.z),
+      new CANNON.Quaternion(
+        shapeData.orientation.x,
+        shapeData.orientation.y,
+        shapeData.orientation.z,
+        shapeData.orientation.w
+      )
+    );
+    
+    // Identify the level child in collision events
+    body.userData = {
+      chunkId: this.id,
+      name: shapeData.name,
+      material: shapeData.material,
+      trigger: shapeData.trigger || null
+    };
+    
+    return body;
+  }
+
+  /**
+   * Put a new or pooled body at the pose its shape should start from, at rest and awake
+   */
+  resetBody(body, shapeData) {
+    const position = poolPosition.copy(shapeData.position);
+    const quaternion = poolQuaternion.copy(shapeData.quaternion);
+    if (shapeData.animation) {
+      // Start at the animation's current pose
+      getAnimatedPose(shapeData, position, quaternion);
+    }
+    
+    body.position.set(position.x, position.y, position.z);
+    body.previousPosition.copy(body.position);
+    body.interpolatedPosition.copy(body.position);
+    body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    body.previousQuaternion.copy(body.quaternion);
+    body.interpolatedQuaternion.copy(body.quaternion);
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+    body.force.set(0, 0, 0);
+    body.torque.set(0, 0, 0);
+    body.allowSleep = !shapeData.animation; // Sleeping kinematic bodies would stop moving
+    if (shapeData.trigger) {
+      // Still triggers only sense the ball; static bodies skip narrowphase against level geometry
+      body.type = shapeData.animation ? CANNON.Body.KINEMATIC : CANNON.Body.STATIC;
+    }
+    body.wakeUp();
+    
+    if (shapeData.mass > 0 && shapeData.savedState) {
+      this.restoreBodyState(body, shapeData.savedState);
+    }
+  }
+
+  /**
+   * Compare a collision body's AABB against the rendered mesh bounds
+   */
+  validateBody(body, shapeData, tolerance) {
+    body.updateAABB();
+
+    // Precise bounds, so rotated non-box meshes are not flagged for their loose geometry box
+    const meshAABB = new THREE.Box3().setFromObject(shapeData.child, true);
+    const delta = Math.max(
+      Math.abs(body.aabb.lowerBound.x - meshAABB.min.x),
+      Math.abs(body.aabb.lowerBound.y - meshAABB.min.y),
+      Math.abs(body.aabb.lowerBound.z - meshAABB.min.z),
+      Math.abs(body.aabb.upperBound.x - meshAABB.max.x),
+      Math.abs(body.aabb.upperBound.y - meshAABB.max.y),
+      Math.abs(body.aabb.upperBound.z - meshAABB.max.z)
+    );
+
+    const result = {
+      chunkId: this.id,
+      name: shapeData.name,
+      type: shapeData.type,
+      delta: delta,
+      mismatch: delta > tolerance
+    };
+    this.validationResults.push(result);
+
+    if (result.mismatch) {
+      console.warn(`PhysicsManager validation: ${shapeData.name} in chunk ${this.id} collision AABB is off by ${delta.toFixed(4)}`, {
+        body: { min: body.aabb.lowerBound, max: body.aabb.upperBound },
+        mesh: { min: meshAABB.min, max: meshAABB.max }
+      });
+    }
+
+    return result;
+  }
+
   /**
    * Remove chunk from physics world
    */
@@ -155,12 +420,49 @@ class PhysicsChunk {
     this.physicsBodies.forEach(body => {
       world.removeBody(body);
     });
+    this.shapes.forEach(shapeData => {
+      if (shapeData.body && shapeData.mass > 0) {
+        // Dynamic props resume where they were when the chunk is reloaded
+        shapeData.savedState = this.saveBodyState(shapeData.body);
+      }
+      shapeData.body = null;
+    });
     
-    this.physicsBodies = [];
+    this.physicsBodies.length = 0; // Bodies stay pooled in their shape data for the next load
     this.isLoaded = false;
     console.log(`Chunk ${this.id} unloaded`);
   }
 
+  /**
+   * Capture the pose, motion and sleep state of a dynamic body
+   */
+  saveBodyState(body) {
+    return {
+      position: body.position.clone(),
+      quaternion: body.quaternion.clone(),
+      velocity: body.velocity.clone(),
+      angularVelocity: body.angularVelocity.clone(),
+      sleeping: body.sleepState === CANNON.Body.SLEEPING
+    };
+  }
+
+  /**
+   * Put a dynamic body back into a state captured by saveBodyState()
+   */
+  restoreBodyState(body, state) {
+    body.position.copy(state.position);
+    body.previousPosition.copy(state.position);
+    body.interpolatedPosition.copy(state.position);
+    body.quaternion.copy(state.quaternion);
+    body.previousQuaternion.copy(state.quaternion);
+    body.interpolatedQuaternion.copy(state.quaternion);
+    body.velocity.copy(state.velocity);
+    body.angularVelocity.copy(state.angularVelocity);
+    if (state.sleeping) {
+      body.sleep();
+    }
+  }
+
   /**
    * Get chunk center point
    */
@@ -171,15 +473,34 @@ class PhysicsChunk {
   }
 
   /**
-   * Get distance from point to chunk center
+   * Get distance from point to the nearest point of the chunk AABB (0 inside)
    */
   getDistanceToPoint(point) {
-    return this.getCenter().distanceTo(point);
+    return this.aabb.distanceToPoint(point);
+  }
+}
+
+/**
+ * A level's chunk set with the props and animations attached to it
+ */
+class PhysicsLevel {
+  constructor(id, active, partitionStats) {
+    this.id = id;
+    this.active = active; // Inactive levels (e.g. preloaded) are never streamed or queried
+    this.chunks = []; // PhysicsChunk objects of this level
+    this.partitionStats = partitionStats; // Octree statistics of this level's build
+    this.props = []; // Shape data of dynamic props linked to their meshes
+    this.animationRoot = null;
+    this.mixer = null;
+    this.animatedShapes = []; // Shape data linked to an animated node
   }
 }
 
 /**
- * PhysicsManager - Manages spatial partitioning and distance-based chunk loading
+ * PhysicsManager - Manages spatial partitioning and distance-based chunk loading.
+ * Chunks are grouped by level ID, so the next level can be preloaded inactive while the
+ * current one plays and a finished level unloaded on its own with unloadLevel().
+ * Each instance has its own chunks and world; the exported physicsManager is the app's.
  */
 export class PhysicsManager {
   constructor(options = {}) {
@@ -187,245 +508,2021 @@ export class PhysicsManager {
     this.maxChildrenPerChunk = options.maxChildrenPerChunk || 10;
     this.loadRadius = options.loadRadius || 50;
     this.unloadRadius = options.unloadRadius || 80;
-    this.chunkSize = options.chunkSize || 20; // Size of each chunk in world units
+    this.chunkSize = options.chunkSize || 20; // Maximum size of each chunk in world units
+    this.minChunkSize = options.minChunkSize || this.chunkSize / 4; // Crowded cells are not split below this size
+    this.maxDepth = options.maxDepth || 8; // Maximum octree depth
+    this.shapeFitter = new ShapeFitter({ tolerance: options.shapeTolerance });
+    this.validateShapes = options.validateShapes || false; // Compare body AABBs against meshes on load
+    this.validationTolerance = options.validationTolerance || 0.01; // World units
+    this.materials = options.materials || materialRegistry; // Named physics materials for level children
     
     // Internal state
-    this.chunks = new Map(); // Map<string, PhysicsChunk>
+    this.chunks = new Map(); // Map<string, PhysicsChunk> of every level
+    this.levels = new Map(); // Map<string, PhysicsLevel>
+    this.buildLevel = null; // Level whose chunks are being created
     this.world = null;
     this.playerPosition = new THREE.Vector3(0, 0, 0);
     
+    // Spatial hash over chunk AABBs so queries only visit cells near the player
+    this.indexCellSize = options.indexCellSize || this.chunkSize;
+    this.spatialIndex = new Map(); // Map<number, PhysicsChunk[]>
+    this.queryStamp = 0;
+    this.nearbyChunks = []; // Reused query result buffer
+    this.loadedChunkList = []; // Loaded chunks, so unloading never scans the whole level
+    
+    // Time-sliced streaming: queued chunks are processed nearest first within a per-frame budget
+    this.maxBodiesPerFrame = options.maxBodiesPerFrame || 16;
+    this.frameBudgetMs = options.frameBudgetMs || 2;
+    this.guaranteeRadius = options.guaranteeRadius || 5; // Chunks this close load immediately, ignoring the budget
+    this.loadQueue = []; // Sorted farthest first so the nearest chunk pops off the end
+    this.unloadQueue = [];
+    this.urgentChunks = []; // Reused query result buffer
+    this.lastFrameStats = { loaded: 0, unloaded: 0, forced: 0, bodies: 0, ms: 0 };
+    this.compareQueueDistance = (a, b) => b.queueDistance - a.queueDistance;
+    
+    // Velocity prediction: stream along the tracked body's path, with a smaller radius behind it
+    this.lookAheadTime = options.lookAheadTime !== undefined ? options.lookAheadTime : 1.0; // Seconds
+    this.behindRadius = options.behindRadius || this.loadRadius * 0.5;
+    this.guaranteeTime = options.guaranteeTime !== undefined ? options.guaranteeTime : 0.25; // Seconds of travel always loaded
+    this.predictionMinSpeed = options.predictionMinSpeed || 1; // Below this the body counts as standing still
+    this.trackedVelocity = new THREE.Vector3(0, 0, 0);
+    this.predictedPosition = new THREE.Vector3(0, 0, 0);
+    this.isPredicting = false;
+    this.predictionSamples = 0;
+    this.predictionSample = new THREE.Vector3(); // Scratch vectors, so streaming allocates nothing
+    this.closestPoint = new THREE.Vector3();
+    this.queryCenter = new THREE.Vector3();
+    
+    // Events: 'collide', 'chunkLoaded', 'chunkUnloaded', 'enterChunk', 'triggerEnter', 'triggerExit'
+    this.eventHandlers = new Map(); // Map<string, Map<string, Function>>
+    this.trackedBody = null;
+    this.currentChunkId = null;
+    this.enterChunkMargin = options.enterChunkMargin || 2; // Max distance to a cell that still counts as inside
+    this.containingChunks = []; // Reused query result buffer
+    this.handleTrackedCollide = this.handleTrackedCollide.bind(this);
+    
+    // Trigger volumes: 'triggerEnter' / 'triggerExit' for the tracked body
+    this.activeTriggers = new Map(); // Map<CANNON.Body, trigger event data> the tracked body is inside
+    this.resolveTrigger = this.resolveTrigger.bind(this);
+    this.resolveMass = this.resolveMass.bind(this);
+    this.handleBeginContact = this.handleBeginContact.bind(this);
+    this.handleEndContact = this.handleEndContact.bind(this);
+    
+    // Animated level nodes: GLTF clips play through a mixer and drive their kinematic bodies
+    this.animationSamples = options.animationSamples || 32; // Poses sampled per clip to bound moving meshes
+    this.targetPosition = new THREE.Vector3();
+    this.targetQuaternion = new THREE.Quaternion();
+    this.deltaQuaternion = new THREE.Quaternion();
+    
+    // Dynamic props: rigid bodies whose state is saved while their chunk is unloaded
+    this.propDensity = options.propDensity || 1; // Mass per cubic unit for props without an explicit mass
+    this.minPropMass = options.minPropMass || 0.05;
+    this.propMatrix = new THREE.Matrix4();
+    this.propParentInverse = new THREE.Matrix4();
+    this.propPosition = new THREE.Vector3();
+    this.propQuaternion = new THREE.Quaternion();
+    this.propScale = new THREE.Vector3();
+    this.propCellPoint = new THREE.Vector3();
+    this.propChunks = []; // Reused query result buffer
+    
+    // Scene queries: raycast(), sphereCast() and overlapBox() test shape data, loaded or not
+    this.shapeQueries = new ShapeQueries();
+    this.dynamicShapes = []; // { chunkId, level, shapeData }; props can roll out of their chunk's AABB, so queries test them separately
+    this.queryChunkList = []; // Reused query result buffer
+    this.queryBox = new THREE.Box3();
+    this.queryRay = new THREE.Ray();
+    this.queryFrom = new THREE.Vector3();
+    this.queryTo = new THREE.Vector3();
+    this.queryChunkBox = new THREE.Box3();
+    this.queryEntry = new THREE.Vector3();
+    this.queryDirection = new THREE.Vector3();
+    this.queryPosition = new THREE.Vector3();
+    this.queryQuaternion = new THREE.Quaternion();
+    
+    // Memory budget: collision data of unloaded chunks beyond evictionRadius is evicted LRU-first
+    // and rebuilt from a compact cache when the chunk is needed again
+    this.memoryBudget = options.memoryBudget || Infinity; // Bytes of resident collision data
+    this.evictionRadius = options.evictionRadius || this.unloadRadius * 1.5;
+    this.collisionMemory = 0; // Estimated bytes of resident collision data
+    this.streamFrame = 0; // Counts updateChunks() calls, for LRU order
+    this.evictions = 0;
+    this.restores = 0;
+    this.createShapeFromBaked = this.createShapeFromBaked.bind(this);
+    
     console.log('PhysicsManager initialized:', {
       maxChildrenPerChunk: this.maxChildrenPerChunk,
+      indexCellSize: this.indexCellSize,
+      maxBodiesPerFrame: this.maxBodiesPerFrame,
+      frameBudgetMs: this.frameBudgetMs,
+      guaranteeRadius: this.guaranteeRadius,
+      lookAheadTime: this.lookAheadTime,
+      behindRadius: this.behindRadius,
       loadRadius: this.loadRadius,
       unloadRadius: this.unloadRadius,
-      chunkSize: this.chunkSize
+      chunkSize: this.chunkSize,
+      minChunkSize: this.minChunkSize,
+      maxDepth: this.maxDepth,
+      memoryBudget: this.memoryBudget,
+      evictionRadius: this.evictionRadius
     });
   }
 
   /**
-   * Set the physics world reference
+   * Register a callback for physics events
+   * @param {string} eventType - 'collide', 'chunkLoaded', 'chunkUnloaded', 'enterChunk', 'triggerEnter', 'triggerExit'
+   * @param {Function} callback - Callback function to execute
+   * @param {string} id - Unique ID for this handler (optional)
    */
-  setWorld(world) {
-    this.world = world;
-    console.log('PhysicsManager: World reference set');
+  on(eventType, callback, id = null) {
+    const handlerId = id || `${eventType}_${Date.now()}_${Math.random()}`;
+    
+    if (!this.eventHandlers.has(eventType)) {
+      this.eventHandlers.set(eventType, new Map());
+    }
+    
+    this.eventHandlers.get(eventType).set(handlerId, callback);
+    console.log(`PhysicsManager: Registered ${eventType} handler:`, handlerId);
+    
+    return handlerId;
   }
 
   /**
-   * Process GLTF model and create spatial chunks
+   * Unregister a physics event handler
+   * @param {string} eventType - Event type
+   * @param {string} handlerId - Handler ID returned from on()
    */
-  processGeometry(model) {
-    console.log('PhysicsManager: Processing geometry for spatial partitioning...');
-    
-    if (!model) {
-      console.error('PhysicsManager: No model provided');
-      return;
+  off(eventType, handlerId) {
+    if (this.eventHandlers.has(eventType)) {
+      this.eventHandlers.get(eventType).delete(handlerId);
+      console.log(`PhysicsManager: Unregistered ${eventType} handler:`, handlerId);
     }
+  }
 
-    // Collect all mesh children
-    const allMeshChildren = [];
-    model.traverse((child) => {
-      if (child.isMesh && child.geometry) {
-        allMeshChildren.push(child);
-      }
-    });
-
-    console.log(`Found ${allMeshChildren.length} mesh children to process`);
-
-    // Calculate overall bounding box
-    const overallBBox = new THREE.Box3().setFromObject(model);
-    console.log('Overall bounding box:', {
-      min: overallBBox.min,
-      max: overallBBox.max
-    });
+  /**
+   * Trigger callbacks for a specific event type
+   * @param {string} eventType - Event type to trigger
+   * @param {Object} eventData - Data to pass to callbacks
+   */
+  trigger(eventType, eventData) {
+    if (this.eventHandlers.has(eventType)) {
+      this.eventHandlers.get(eventType).forEach((callback, id) => {
+        try {
+          callback(eventData);
+        } catch (error) {
+          console.error(`PhysicsManager: Error in ${eventType} handler ${id}:`, error);
+        }
+      });
+    }
+  }
 
-    // Create spatial grid
-    this.createSpatialChunks(allMeshChildren, overallBBox);
-    
-    console.log(`Created ${this.chunks.size} spatial chunks`);
+  /**
+   * Check if anyone listens for an event (skips building event data otherwise)
+   */
+  hasListeners(eventType) {
+    return this.eventHandlers.has(eventType) && this.eventHandlers.get(eventType).size > 0;
   }
 
   /**
-   * Create spatial chunks from mesh children
+   * Set the body whose collisions and chunk changes are reported.
+   * updateChunks() calls this automatically with the body it streams around.
+   * @param {CANNON.Body} body - Player body (null to stop tracking)
    */
-  createSpatialChunks(meshChildren, overallBBox) {
-    const size = overallBBox.getSize(new THREE.Vector3());
-    const min = overallBBox.min;
+  setTrackedBody(body) {
+    if (body === this.trackedBody) return;
     
-    // Calculate grid dimensions
-    const gridX = Math.ceil(size.x / this.chunkSize);
-    const gridZ = Math.ceil(size.z / this.chunkSize);
+    if (this.trackedBody) {
+      this.trackedBody.removeEventListener('collide', this.handleTrackedCollide);
+    }
     
-    console.log(`Creating ${gridX}x${gridZ} spatial grid with chunk size ${this.chunkSize}`);
-
-    // Create chunks and assign meshes
-    for (let x = 0; x < gridX; x++) {
-      for (let z = 0; z < gridZ; z++) {
-        const chunkId = `chunk_${x}_${z}`;
-        
-        // Calculate chunk bounds
-        const chunkMin = new THREE.Vector3(
-          min.x + x * this.chunkSize,
-          min.y,
-          min.z + z * this.chunkSize
-        );
-        
-        const chunkMax = new THREE.Vector3(
-          min.x + (x + 1) * this.chunkSize,
-          min.y + size.y,
-          min.z + (z + 1) * this.chunkSize
-        );
-        
-        const chunkAABB = new THREE.Box3(chunkMin, chunkMax);
-        const chunk = new PhysicsChunk(chunkId, chunkAABB);
-        
-        // Find meshes that intersect with this chunk
-        let childrenInChunk = 0;
-        meshChildren.forEach(child => {
-          if (childrenInChunk >= this.maxChildrenPerChunk) return;
-          
-          // Calculate child bounding box
-          const childBBox = new THREE.Box3().setFromObject(child);
-          
-          // Check if child intersects with chunk
-          if (chunkAABB.intersectsBox(childBBox)) {
-            chunk.meshChildren.push(child);
-            childrenInChunk++;
-          }
-        });
-        
-        // Only create chunks that have children
-        if (chunk.meshChildren.length > 0) {
-          // Generate trimeshes for this chunk
-          chunk.generateTrimeshes();
-          this.chunks.set(chunkId, chunk);
-          
-          console.log(`Created chunk ${chunkId} with ${chunk.meshChildren.length} children and ${chunk.trimeshes.length} trimeshes`);
-        }
-      }
+    this.exitAllTriggers('untracked');
+    this.trackedBody = body;
+    this.currentChunkId = null;
+    
+    if (body) {
+      body.addEventListener('collide', this.handleTrackedCollide);
     }
   }
 
   /**
-   * Update player position and manage chunk loading/unloading
+   * Turn cannon's first-contact event of the tracked body into a 'collide' event
    */
-  updateChunks(playerPosition) {
-    this.playerPosition.copy(playerPosition);
+  handleTrackedCollide(event) {
+    const other = event.body;
+    if (!other.userData || !other.userData.chunkId || other.userData.trigger || !this.hasListeners('collide')) return;
     
-    if (!this.world) {
-      console.warn('PhysicsManager: No world reference set');
-      return;
+    const contact = event.contact;
+    const trackedIsA = contact.bi === this.trackedBody;
+    
+    // ni points from bi to bj; report it pointing from the level child toward the tracked body
+    const normal = new THREE.Vector3(contact.ni.x, contact.ni.y, contact.ni.z);
+    if (trackedIsA) {
+      normal.negate();
     }
+    
+    const contactBody = trackedIsA ? contact.bi : contact.bj;
+    const offset = trackedIsA ? contact.ri : contact.rj;
+    const point = new THREE.Vector3(
+      contactBody.position.x + offset.x,
+      contactBody.position.y + offset.y,
+      contactBody.position.z + offset.z
+    );
+    
+    this.trigger('collide', {
+      impactSpeed: Math.abs(contact.getImpactVelocityAlongNormal()),
+      normal: normal,
+      point: point,
+      name: other.userData.name,
+      chunkId: other.userData.chunkId,
+      material: other.userData.material,
+      body: other
+    });
+  }
 
-    let loadedCount = 0;
-    let unloadedCount = 0;
-
-    this.chunks.forEach((chunk, chunkId) => {
-      const distance = chunk.getDistanceToPoint(this.playerPosition);
+  /**
+   * Get the trigger kind of a level child from userData/GLTF extras or a "Trigger_<Kind>" name.
+   * Ancestors are checked too, so a "Trigger_Goal" group turns all its meshes into one goal.
+   * @param {THREE.Object3D} object - Level child
+   * @returns {string|null} Lowercase kind ('goal', 'kill', 'checkpoint', ...) or null for solid geometry
+   */
+  resolveTrigger(object) {
+    for (let node = object; node; node = node.parent) {
+      const declared = node.userData && node.userData.trigger;
+      if (typeof declared === 'string' && declared) return declared.toLowerCase();
+      if (declared === true) return 'generic';
       
-      if (distance <= this.loadRadius && !chunk.isLoaded) {
-        // Load chunk
-        chunk.addToWorld(this.world);
-        loadedCount++;
-      } else if (distance > this.unloadRadius && chunk.isLoaded) {
-        // Unload chunk
-        chunk.removeFromWorld(this.world);
-        unloadedCount++;
+      const match = node.name && node.name.match(TRIGGER_NAME_PATTERN);
+      if (match) {
+        return match[1] ? match[1].toLowerCase() : 'generic';
       }
-    });
-
-    if (loadedCount > 0 || unloadedCount > 0) {
-      console.log(`PhysicsManager: Loaded ${loadedCount} chunks, unloaded ${unloadedCount} chunks`);
     }
+    return null;
   }
 
   /**
-   * Add chunk to physics world by ID
+   * Hide trigger meshes from rendering (part of attachModel())
+   * @param {THREE.Object3D} model - Level model
+   * @returns {number} Number of hidden meshes
    */
-  addChunk(chunkId) {
-    const chunk = this.chunks.get(chunkId);
-    if (chunk && this.world) {
-      chunk.addToWorld(this.world);
-      return true;
-    }
-    return false;
+  hideTriggerMeshes(model) {
+    let hidden = 0;
+    model.traverse(child => {
+      if (child.isMesh && this.resolveTrigger(child)) {
+        child.visible = false;
+        hidden++;
+      }
+    });
+    return hidden;
   }
 
   /**
-   * Remove chunk from physics world by ID
+   * Get the trigger body and event data if a contact pairs the tracked body with a trigger
    */
-  removeChunk(chunkId) {
-    const chunk = this.chunks.get(chunkId);
-    if (chunk && this.world) {
-      chunk.removeFromWorld(this.world);
-      return true;
-    }
-    return false;
+  getTriggerContact(event) {
+    if (!this.trackedBody || !event.bodyA || !event.bodyB) return null;
+    
+    let other = null;
+    if (event.bodyA === this.trackedBody) other = event.bodyB;
+    else if (event.bodyB === this.trackedBody) other = event.bodyA;
+    
+    if (!other || !other.userData || !other.userData.trigger) return null;
+    return other;
   }
 
   /**
-   * Get all loaded chunks
+   * World 'beginContact': the tracked body started touching a trigger volume
    */
-  getLoadedChunks() {
-    const loaded = [];
-    this.chunks.forEach((chunk, id) => {
-      if (chunk.isLoaded) {
-        loaded.push(id);
-      }
+  handleBeginContact(event) {
+    const triggerBody = this.getTriggerContact(event);
+    if (!triggerBody || this.activeTriggers.has(triggerBody)) return;
+    
+    const eventData = {
+      kind: triggerBody.userData.trigger,
+      name: triggerBody.userData.name,
+      chunkId: triggerBody.userData.chunkId,
+      body: triggerBody
+    };
+    this.activeTriggers.set(triggerBody, eventData);
+    
+    this.trigger('triggerEnter', {
+      ...eventData,
+      position: this.trackedBody.position.clone()
     });
-    return loaded;
   }
 
   /**
-   * Get chunks within radius of point
+   * World 'endContact': the tracked body left a trigger volume
    */
-  getChunksInRadius(position, radius) {
-    const chunksInRadius = [];
-    this.chunks.forEach((chunk, id) => {
-      if (chunk.getDistanceToPoint(position) <= radius) {
-        chunksInRadius.push(id);
-      }
+  handleEndContact(event) {
+    const triggerBody = this.getTriggerContact(event);
+    if (!triggerBody) return;
+    this.exitTrigger(triggerBody, 'left');
+  }
+
+  /**
+   * Leave a trigger the tracked body is inside
+   * @param {CANNON.Body} triggerBody - Trigger body
+   * @param {string} reason - 'left', 'unloaded' or 'untracked'
+   */
+  exitTrigger(triggerBody, reason) {
+    const eventData = this.activeTriggers.get(triggerBody);
+    if (!eventData) return;
+    
+    this.activeTriggers.delete(triggerBody);
+    this.trigger('triggerExit', {
+      ...eventData,
+      reason: reason,
+      position: this.trackedBody ? this.trackedBody.position.clone() : null
     });
-    return chunksInRadius;
   }
 
   /**
-   * Get physics manager status
+   * Leave every active trigger, e.g. when the tracked body changes
    */
-  getStatus() {
-    const loadedChunks = this.getLoadedChunks();
-    return {
-      totalChunks: this.chunks.size,
-      loadedChunks: loadedChunks.length,
-      loadedChunkIds: loadedChunks,
-      playerPosition: this.playerPosition.clone(),
-      loadRadius: this.loadRadius,
-      unloadRadius: this.unloadRadius
-    };
+  exitAllTriggers(reason) {
+    Array.from(this.activeTriggers.keys()).forEach(triggerBody => this.exitTrigger(triggerBody, reason));
   }
 
   /**
-   * Cleanup all chunks
+   * Find the candidate chunk whose cell is nearest a point, within enterChunkMargin
+   * @param {THREE.Vector3} position
+   * @param {PhysicsChunk[]} candidates
+   * @param {string|null} preferredId - Wins ties, so touching cell borders don't flicker
+   * @param {PhysicsLevel|null} level - Only consider chunks of this level
+   * @returns {PhysicsChunk|null}
    */
-  cleanup() {
-    console.log('PhysicsManager: Cleaning up all chunks...');
-    
-    if (this.world) {
-      this.chunks.forEach(chunk => {
-        if (chunk.isLoaded) {
+  findNearestCell(position, candidates, preferredId, level = null) {
+    let nearest = null;
+    let bestDistance = Infinity;
+    for (let i = 0; i < candidates.length; i++) {
+      const chunk = candidates[i];
+      if (level && chunk.level !== level) continue;
+      const distance = chunk.cellAABB.distanceToPoint(position);
+      if (distance < bestDistance || (distance === bestDistance && chunk.id === preferredId)) {
+        bestDistance = distance;
+        nearest = chunk;
+      }
+    }
+    return bestDistance <= this.enterChunkMargin ? nearest : null;
+  }
+
+  /**
+   * Report when the tracked body moves into another chunk's cell.
+   * Cells hug the level geometry, so a ball rolling on a floor sits just above its cell;
+   * the nearest cell within enterChunkMargin counts as the current chunk.
+   */
+  updateCurrentChunk() {
+    const candidates = this.queryChunks(this.playerPosition, this.enterChunkMargin, this.containingChunks);
+    const nearest = this.findNearestCell(this.playerPosition, candidates, this.currentChunkId);
+    const chunkId = nearest ? nearest.id : null;
+    
+    if (chunkId === this.currentChunkId) return;
+    
+    const previousChunkId = this.currentChunkId;
+    this.currentChunkId = chunkId;
+    
+    // Leaving every cell (e.g. falling off the level) is not an entry
+    if (chunkId !== null) {
+      this.trigger('enterChunk', {
+        chunkId: chunkId,
+        previousChunkId: previousChunkId,
+        position: this.playerPosition.clone()
+      });
+    }
+  }
+
+  /**
+   * Set the physics world reference
+   */
+  setWorld(world) {
+    if (this.world && this.world !== world) {
+      this.world.removeEventListener('beginContact', this.handleBeginContact);
+      this.world.removeEventListener('endContact', this.handleEndContact);
+    }
+    
+    this.world = world;
+    this.materials.registerWithWorld(world);
+    
+    if (!world.hasEventListener('beginContact', this.handleBeginContact)) {
+      world.addEventListener('beginContact', this.handleBeginContact);
+      world.addEventListener('endContact', this.handleEndContact);
+    }
+    console.log('PhysicsManager: World reference set');
+  }
+
+  /**
+   * Process GLTF model and create spatial chunks
+   * @param {THREE.Object3D} model - Level model
+   * @param {string} levelId - Level the chunks belong to; an existing level with this ID is unloaded first
+   * @param {Object} options - { active: false } to preload the level without streaming it
+   */
+  processGeometry(model, levelId = DEFAULT_LEVEL_ID, options = {}) {
+    console.log(`PhysicsManager: Processing geometry of level ${levelId} for spatial partitioning...`);
+    
+    if (!model) {
+      console.error('PhysicsManager: No model provided');
+      return;
+    }
+    const level = this.createLevel(levelId, options.active !== false);
+
+    // Make sure world matrices are current before measuring children
+    model.updateMatrixWorld(true);
+
+    // Collect all mesh children
+    const allMeshChildren = [];
+    model.traverse((child) => {
+      if (child.isMesh && child.geometry) {
+        allMeshChildren.push(child);
+      }
+    });
+
+    console.log(`Found ${allMeshChildren.length} mesh children to process`);
+
+    // Calculate overall bounding box
+    const overallBBox = new THREE.Box3().setFromObject(model);
+    
+    // Moving meshes are partitioned by the space they sweep, so their chunk is loaded wherever they are
+    const sweptBounds = this.sampleAnimatedBounds(model, allMeshChildren);
+    sweptBounds.forEach(bounds => overallBBox.union(bounds));
+    
+    console.log('Overall bounding box:', {
+      min: overallBBox.min,
+      max: overallBBox.max
+    });
+
+    // Create spatial grid
+    this.buildLevel = level;
+    this.createSpatialChunks(allMeshChildren, overallBBox, sweptBounds);
+    this.buildLevel = null;
+    
+    this.attachModel(model, levelId);
+    
+    console.log(`Created ${level.chunks.length} spatial chunks for level ${levelId}`);
+  }
+
+  /**
+   * Start an empty level, replacing any level with the same ID
+   */
+  createLevel(levelId, active) {
+    if (this.levels.has(levelId)) {
+      this.unloadLevel(levelId);
+    }
+    const level = new PhysicsLevel(levelId, active, this.createEmptyPartitionStats());
+    this.levels.set(levelId, level);
+    return level;
+  }
+
+  /**
+   * Chunk ID within a level; the default level keeps the plain IDs
+   */
+  getChunkId(level, localId) {
+    return level.id === DEFAULT_LEVEL_ID ? localId : `${level.id}:${localId}`;
+  }
+
+  /**
+   * Chunk ID without its level prefix, as stored in baked files
+   */
+  getLocalChunkId(chunk) {
+    return chunk.level.id === DEFAULT_LEVEL_ID ? chunk.id : chunk.id.slice(chunk.level.id.length + 1);
+  }
+
+  /**
+   * Stream and query a level's chunks, or park them. Deactivating unloads every chunk of
+   * the level; activating lets updateChunks() load them around the player.
+   * @param {string} levelId - Level ID
+   * @param {boolean} active - true to play the level
+   * @returns {boolean} false if there is no such level
+   */
+  setLevelActive(levelId, active) {
+    const level = this.levels.get(levelId);
+    if (!level) return false;
+    if (level.active === active) return true;
+    
+    level.active = active;
+    if (!active) {
+      level.chunks.forEach(chunk => {
+        this.dequeueChunk(chunk);
+        this.unloadChunk(chunk);
+      });
+      if (this.currentChunkId && this.chunks.get(this.currentChunkId).level === level) {
+        this.currentChunkId = null;
+      }
+    }
+    console.log(`PhysicsManager: Level ${levelId} ${active ? 'activated' : 'deactivated'}`);
+    return true;
+  }
+
+  /**
+   * Remove a level: unload its bodies, stop its animations and drop its chunks.
+   * Other levels keep streaming untouched.
+   * @param {string} levelId - Level ID
+   * @returns {boolean} false if there is no such level
+   */
+  unloadLevel(levelId) {
+    const level = this.levels.get(levelId);
+    if (!level) return false;
+    
+    this.stopAnimations(levelId);
+    level.chunks.forEach(chunk => {
+      this.dequeueChunk(chunk);
+      this.unloadChunk(chunk);
+      this.chunks.delete(chunk.id);
+      this.collisionMemory -= chunk.memoryBytes;
+    });
+    
+    this.spatialIndex.forEach((cell, key) => {
+      const kept = cell.filter(chunk => chunk.level !== level);
+      if (kept.length === 0) {
+        this.spatialIndex.delete(key);
+      } else if (kept.length !== cell.length) {
+        this.spatialIndex.set(key, kept);
+      }
+    });
+    this.dynamicShapes = this.dynamicShapes.filter(entry => entry.level !== level);
+    if (this.currentChunkId && !this.chunks.has(this.currentChunkId)) {
+      this.currentChunkId = null;
+    }
+    
+    this.levels.delete(levelId);
+    console.log(`PhysicsManager: Unloaded level ${levelId} (${level.chunks.length} chunks)`);
+    return true;
+  }
+
+  /**
+   * Connect the chunks to the rendered level: hide trigger volumes, let dynamic prop
+   * meshes follow their bodies and play the level animations.
+   * processGeometry() does this automatically; call it with the render model after
+   * loadBakedChunks(), where shapes are matched to nodes by name.
+   * The model must be in its bind pose (as loaded) when this is called.
+   * @param {THREE.Object3D} model - Level model
+   * @param {string} levelId - Level the model renders
+   */
+  attachModel(model, levelId = DEFAULT_LEVEL_ID) {
+    // Trigger volumes are sensors only; keep them out of the rendered level
+    const hiddenTriggers = this.hideTriggerMeshes(model);
+    if (hiddenTriggers > 0) {
+      console.log(`Hid ${hiddenTriggers} trigger meshes`);
+    }
+    
+    this.linkPropMeshes(model, levelId);
+    this.setupAnimations(model, levelId);
+  }
+
+  /**
+   * Find the level node a shape was fitted to
+   */
+  findShapeNode(shapeData, model) {
+    return shapeData.child || model.getObjectByName(shapeData.name) || null;
+  }
+
+  /**
+   * Get the mass of a dynamic prop from userData/GLTF extras ({ dynamic: true } or { mass })
+   * or a "Dynamic_" / "Prop_" name. Props without an explicit mass get volume * propDensity.
+   * @param {THREE.Object3D} object - Level child
+   * @param {CANNON.Shape} shape - Fitted collision shape
+   * @returns {number} Mass, or 0 for static geometry
+   */
+  resolveMass(object, shape) {
+    for (let node = object; node; node = node.parent) {
+      const userData = node.userData || {};
+      if (userData.dynamic === false) return 0;
+      if (typeof userData.mass === 'number') return Math.max(0, userData.mass);
+      if (userData.dynamic === true || (node.name && DYNAMIC_NAME_PATTERN.test(node.name))) {
+        return Math.max(shape.volume() * this.propDensity, this.minPropMass);
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Link dynamic prop shapes to the meshes that render them (part of attachModel())
+   * @param {THREE.Object3D} model - Level model
+   * @param {string} levelId - Level the model renders
+   * @returns {number} Number of linked props
+   */
+  linkPropMeshes(model, levelId = DEFAULT_LEVEL_ID) {
+    const level = this.levels.get(levelId);
+    if (!level) {
+      console.warn(`PhysicsManager: No level ${levelId} to link props to`);
+      return 0;
+    }
+    level.props = [];
+    model.updateMatrixWorld(true);
+    const bodyPose = new THREE.Matrix4();
+    const unitScale = new THREE.Vector3(1, 1, 1);
+
+    level.chunks.forEach(chunk => {
+      chunk.shapes.forEach(shapeData => {
+        if (!(shapeData.mass > 0)) return;
+
+        const mesh = this.findShapeNode(shapeData, model);
+        if (!mesh) {
+          console.warn(`PhysicsManager: No mesh found for dynamic prop ${shapeData.name}`);
+          return;
+        }
+
+        // Mesh world matrix = body pose * meshOffset, with the offset taken in the bind pose
+        bodyPose.compose(shapeData.position, shapeData.quaternion, unitScale);
+        shapeData.mesh = mesh;
+        shapeData.meshOffset = bodyPose.clone().invert().multiply(mesh.matrixWorld);
+        level.props.push(shapeData);
+      });
+    });
+
+    if (level.props.length > 0) {
+      console.log(`PhysicsManager: Linked ${level.props.length} dynamic props`);
+    }
+    return level.props.length;
+  }
+
+  /**
+   * Move prop meshes to their bodies. Call once per fixed step, after the world is stepped.
+   */
+  updateDynamicMeshes() {
+    const bodyPose = this.propMatrix;
+    this.levels.forEach(level => level.props.forEach(shapeData => {
+      const mesh = shapeData.mesh;
+      const body = shapeData.body;
+      // Unloaded and sleeping props keep the pose their mesh was last given
+      if (!body || body.sleepState === CANNON.Body.SLEEPING) return;
+
+      this.propPosition.set(body.position.x, body.position.y, body.position.z);
+      this.propQuaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+      bodyPose.compose(this.propPosition, this.propQuaternion, this.propScale.set(1, 1, 1));
+      bodyPose.multiply(shapeData.meshOffset);
+
+      // Back into the parent's space, since the mesh may sit anywhere in the level hierarchy
+      if (mesh.parent) {
+        bodyPose.premultiply(this.propParentInverse.copy(mesh.parent.matrixWorld).invert());
+      }
+      bodyPose.decompose(mesh.position, mesh.quaternion, mesh.scale);
+      mesh.updateMatrixWorld();
+    }));
+  }
+
+  /**
+   * Find the nodes targeted by a model's animation clips
+   * @param {THREE.Object3D} model - Level model with GLTF clips in model.animations
+   * @returns {Set<THREE.Object3D>}
+   */
+  findAnimatedNodes(model) {
+    const nodes = new Set();
+    (model.animations || []).forEach(clip => {
+      clip.tracks.forEach(track => {
+        const { nodeName } = THREE.PropertyBinding.parseTrackName(track.name);
+        const node = THREE.PropertyBinding.findNode(model, nodeName);
+        if (node) {
+          nodes.add(node);
+        } else {
+          console.warn(`PhysicsManager: Animation ${clip.name} targets missing node ${nodeName}`);
+        }
+      });
+    });
+    return nodes;
+  }
+
+  /**
+   * Check if an object moves with an animated node (the node itself or one of its ancestors)
+   */
+  isAnimated(object, animatedNodes, model) {
+    for (let node = object; node && node !== model.parent; node = node.parent) {
+      if (animatedNodes.has(node)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Bound every animated mesh over all poses of the model's clips
+   * @param {THREE.Object3D} model - Level model
+   * @param {Array} meshChildren - Meshes to consider
+   * @returns {Map<THREE.Mesh, THREE.Box3>} Swept bounds of the animated meshes
+   */
+  sampleAnimatedBounds(model, meshChildren) {
+    const sweptBounds = new Map();
+    const animatedNodes = this.findAnimatedNodes(model);
+    if (animatedNodes.size === 0) return sweptBounds;
+
+    const animatedMeshes = meshChildren.filter(child => this.isAnimated(child, animatedNodes, model));
+    animatedMeshes.forEach(child => sweptBounds.set(child, new THREE.Box3().setFromObject(child)));
+
+    const mixer = new THREE.AnimationMixer(model);
+    let duration = 0;
+    model.animations.forEach(clip => {
+      mixer.clipAction(clip).play();
+      duration = Math.max(duration, clip.duration);
+    });
+
+    const bounds = new THREE.Box3();
+    for (let i = 0; i <= this.animationSamples; i++) {
+      mixer.setTime((duration * i) / this.animationSamples);
+      model.updateMatrixWorld(true);
+      animatedMeshes.forEach(child => sweptBounds.get(child).union(bounds.setFromObject(child)));
+    }
+
+    // Stopping the actions restores the bind pose that shapes are fitted in
+    mixer.stopAllAction();
+    mixer.uncacheRoot(model);
+    model.updateMatrixWorld(true);
+
+    console.log(`PhysicsManager: Sampled ${animatedMeshes.length} animated meshes over ${duration.toFixed(2)}s`);
+    return sweptBounds;
+  }
+
+  /**
+   * Link shapes to their animated nodes and start playing the model's clips (part of attachModel())
+   * @param {THREE.Object3D} model - Level model with GLTF clips in model.animations
+   * @param {string} levelId - Level the model renders
+   * @returns {number} Number of animated shapes
+   */
+  setupAnimations(model, levelId = DEFAULT_LEVEL_ID) {
+    const level = this.levels.get(levelId);
+    if (!level) return 0;
+    this.stopAnimations(levelId);
+
+    const animatedNodes = this.findAnimatedNodes(model);
+    if (animatedNodes.size === 0) return 0;
+
+    model.updateMatrixWorld(true);
+    const bodyPose = new THREE.Matrix4();
+    const unitScale = new THREE.Vector3(1, 1, 1);
+
+    level.chunks.forEach(chunk => {
+      chunk.shapes.forEach(shapeData => {
+        if (shapeData.mass > 0) return; // Dynamic props are driven by the simulation
+
+        const node = this.findShapeNode(shapeData, model);
+        if (!node || !this.isAnimated(node, animatedNodes, model)) return;
+
+        // Body pose = node world matrix * bodyOffset, with the offset taken in the bind pose
+        bodyPose.compose(shapeData.position, shapeData.quaternion, unitScale);
+        shapeData.animation = {
+          node: node,
+          bodyOffset: node.matrixWorld.clone().invert().multiply(bodyPose)
+        };
+        level.animatedShapes.push(shapeData);
+      });
+    });
+
+    level.animationRoot = model;
+    level.mixer = new THREE.AnimationMixer(model);
+    model.animations.forEach(clip => level.mixer.clipAction(clip).play());
+
+    console.log(`PhysicsManager: Playing ${model.animations.length} clips driving ${level.animatedShapes.length} kinematic shapes`);
+    return level.animatedShapes.length;
+  }
+
+  /**
+   * Stop level animations and unlink their shapes
+   * @param {string|null} levelId - Level to stop, or null for every level
+   */
+  stopAnimations(levelId = null) {
+    this.levels.forEach(level => {
+      if (levelId !== null && level.id !== levelId) return;
+      if (level.mixer) {
+        level.mixer.stopAllAction();
+        level.mixer.uncacheRoot(level.animationRoot);
+        level.animationRoot.updateMatrixWorld(true);
+      }
+      level.animatedShapes.forEach(shapeData => {
+        shapeData.animation = null;
+      });
+      level.animatedShapes = [];
+      level.mixer = null;
+      level.animationRoot = null;
+    });
+  }
+
+  /**
+   * Advance the animations of active levels and give each loaded animated body the velocity
+   * that carries it to the new pose during the next world step, so contacts see a moving surface.
+   * Call once per fixed step, before the world is stepped.
+   * @param {number} dt - Fixed time step in seconds
+   */
+  updateAnimations(dt) {
+    if (dt <= 0) return;
+    this.levels.forEach(level => {
+      if (level.active && level.mixer) this.updateLevelAnimations(level, dt);
+    });
+  }
+
+  /**
+   * Advance one level's mixer and drive its animated bodies (part of updateAnimations())
+   */
+  updateLevelAnimations(level, dt) {
+    level.mixer.update(dt);
+    level.animationRoot.updateMatrixWorld(true);
+
+    const target = this.targetPosition;
+    const delta = this.deltaQuaternion;
+    level.animatedShapes.forEach(shapeData => {
+      const body = shapeData.body;
+      if (!body) return; // Chunk unloaded; the body picks up the current pose when it is reloaded
+
+      getAnimatedPose(shapeData, target, this.targetQuaternion);
+      body.velocity.set(
+        (target.x - body.position.x) / dt,
+        (target.y - body.position.y) / dt,
+        (target.z - body.position.z) / dt
+      );
+
+      // Rotation from the current to the target orientation, as a world-space angular velocity
+      delta.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w).invert();
+      delta.premultiply(this.targetQuaternion);
+      if (delta.w < 0) {
+        delta.set(-delta.x, -delta.y, -delta.z, -delta.w);
+      }
+      const sinHalfAngle = Math.sqrt(delta.x * delta.x + delta.y * delta.y + delta.z * delta.z);
+      if (sinHalfAngle < 1e-9) {
+        body.angularVelocity.set(0, 0, 0);
+      } else {
+        const angularSpeed = (2 * Math.atan2(sinHalfAngle, delta.w)) / dt;
+        body.angularVelocity.set(
+          (delta.x / sinHalfAngle) * angularSpeed,
+          (delta.y / sinHalfAngle) * angularSpeed,
+          (delta.z / sinHalfAngle) * angularSpeed
+        );
+      }
+    });
+  }
+
+  /**
+   * Create spatial chunks from mesh children using an adaptive octree.
+   * Cells larger than chunkSize are always split; cells holding more than
+   * maxChildrenPerChunk meshes are split further down to minChunkSize.
+   * Each mesh is assigned to exactly one chunk (the cell containing its
+   * bounding box center), so no mesh is ever dropped or duplicated. A mesh that
+   * spans several cells, like a ground slab, grows its owning chunk's AABB instead
+   * and loads as a single body. Large meshes are not split along cell borders:
+   * the internal seams would bump the rolling ball.
+   */
+  createSpatialChunks(meshChildren, overallBBox, sweptBounds = new Map()) {
+    const entries = meshChildren.map(child => {
+      const bbox = sweptBounds.has(child) ? sweptBounds.get(child) : new THREE.Box3().setFromObject(child);
+      return {
+        child: child,
+        bbox: bbox,
+        center: bbox.getCenter(new THREE.Vector3())
+      };
+    });
+
+    console.log(`Building adaptive octree for ${entries.length} meshes (max ${this.maxChildrenPerChunk} per chunk, chunk size ${this.chunkSize}, min size ${this.minChunkSize})`);
+
+    this.subdivideCell(overallBBox.clone(), entries, 0, '0');
+    this.finalizePartitionStats();
+  }
+
+  /**
+   * Recursively split a cell until it satisfies the size and occupancy limits
+   */
+  subdivideCell(cellAABB, entries, depth, path) {
+    if (entries.length === 0) return;
+
+    const size = cellAABB.getSize(new THREE.Vector3());
+    const overfull = entries.length > this.maxChildrenPerChunk;
+
+    // Oversized axes are always split; crowded cells also split every axis above the minimum size
+    const splitAxes = ['x', 'y', 'z'].filter(axis =>
+      size[axis] > this.chunkSize || (overfull && size[axis] > this.minChunkSize)
+    );
+
+    if (splitAxes.length > 0 && depth < this.maxDepth) {
+      const mid = cellAABB.getCenter(new THREE.Vector3());
+      const octants = new Map(); // Map<number, entries[]>
+
+      entries.forEach(entry => {
+        let octant = 0;
+        splitAxes.forEach((axis, bit) => {
+          if (entry.center[axis] >= mid[axis]) octant |= (1 << bit);
+        });
+        if (!octants.has(octant)) octants.set(octant, []);
+        octants.get(octant).push(entry);
+      });
+
+      // A split is only useful if it separates the meshes or shrinks an oversized cell
+      const separates = octants.size > 1;
+      const oversized = splitAxes.some(axis => size[axis] > this.chunkSize);
+
+      if (separates || oversized) {
+        octants.forEach((octantEntries, octant) => {
+          const childMin = cellAABB.min.clone();
+          const childMax = cellAABB.max.clone();
+          splitAxes.forEach((axis, bit) => {
+            if (octant & (1 << bit)) {
+              childMin[axis] = mid[axis];
+            } else {
+              childMax[axis] = mid[axis];
+            }
+          });
+          this.subdivideCell(new THREE.Box3(childMin, childMax), octantEntries, depth + 1, `${path}_${octant}`);
+        });
+        return;
+      }
+    }
+
+    this.createLeafChunk(cellAABB, entries, depth, path);
+  }
+
+  /**
+   * Create a chunk for a leaf cell of the octree
+   */
+  createLeafChunk(cellAABB, entries, depth, path) {
+    const chunkId = this.getChunkId(this.buildLevel, `chunk_${path}`);
+
+    // Expand the chunk bounds to fully contain its meshes so distance checks stay conservative
+    const chunkAABB = cellAABB.clone();
+    entries.forEach(entry => chunkAABB.union(entry.bbox));
+
+    const chunk = new PhysicsChunk(chunkId, chunkAABB);
+    chunk.cellAABB = cellAABB;
+    chunk.depth = depth;
+    entries.forEach(entry => chunk.meshChildren.push(entry.child));
+
+    chunk.generateShapes(this.shapeFitter, this.materials, this.resolveTrigger, this.resolveMass);
+    this.registerChunk(chunk);
+
+    this.recordLeafStats(depth, entries.length);
+
+    console.log(`Created chunk ${chunkId} at depth ${depth} with ${chunk.meshChildren.length} children and ${chunk.shapes.length} shapes`);
+  }
+
+  /**
+   * Add a leaf chunk to the octree statistics
+   */
+  recordLeafStats(depth, childCount) {
+    const stats = this.buildLevel.partitionStats;
+    stats.leafCount++;
+    stats.maxDepth = Math.max(stats.maxDepth, depth);
+    stats.totalDepth += depth;
+    stats.totalChildren += childCount;
+    stats.minChildren = Math.min(stats.minChildren, childCount);
+    stats.maxChildren = Math.max(stats.maxChildren, childCount);
+    if (childCount > this.maxChildrenPerChunk) {
+      stats.overfullChunks++;
+    }
+  }
+
+  /**
+   * Create empty octree statistics
+   */
+  createEmptyPartitionStats() {
+    return {
+      leafCount: 0,
+      maxDepth: 0,
+      averageDepth: 0,
+      totalDepth: 0,
+      totalChildren: 0,
+      minChildren: Infinity,
+      maxChildren: 0,
+      averageChildren: 0,
+      overfullChunks: 0 // Leaves that could not be split below maxChildrenPerChunk
+    };
+  }
+
+  /**
+   * Compute averages once all leaves have been created
+   */
+  finalizePartitionStats() {
+    const stats = this.buildLevel.partitionStats;
+    if (stats.leafCount === 0) return;
+    stats.averageDepth = stats.totalDepth / stats.leafCount;
+    stats.averageChildren = stats.totalChildren / stats.leafCount;
+  }
+
+  /**
+   * Serialize all chunks into the baked collision format
+   * @param {Object} metadata - Extra info stored in the file header (e.g. source model)
+   * @param {string} levelId - Level to serialize
+   * @returns {ArrayBuffer}
+   */
+  exportBakedChunks(metadata = {}, levelId = DEFAULT_LEVEL_ID) {
+    const level = this.levels.get(levelId);
+    const chunks = [];
+    (level ? level.chunks : []).forEach(chunk => {
+      this.ensureResident(chunk);
+      chunks.push({
+        id: this.getLocalChunkId(chunk),
+        depth: chunk.depth,
+        childCount: chunk.meshChildren.length,
+        aabb: chunk.aabb,
+        cellAABB: chunk.cellAABB,
+        shapes: chunk.shapes
+      });
+    });
+
+    return encodeBakedChunks(chunks, {
+      ...metadata,
+      maxChildrenPerChunk: this.maxChildrenPerChunk,
+      chunkSize: this.chunkSize,
+      minChunkSize: this.minChunkSize,
+      maxDepth: this.maxDepth
+    });
+  }
+
+  /**
+   * Create chunks straight from a baked collision file, skipping geometry traversal
+   * @param {ArrayBuffer} buffer - Contents of a file written by scripts/bakeChunks.mjs
+   * @param {string} levelId - Level the chunks belong to; an existing level with this ID is unloaded first
+   * @param {Object} options - { active: false } to preload the level without streaming it
+   */
+  loadBakedChunks(buffer, levelId = DEFAULT_LEVEL_ID, options = {}) {
+    console.log(`PhysicsManager: Loading baked chunks of level ${levelId}...`);
+
+    let baked;
+    try {
+      baked = decodeBakedChunks(buffer);
+    } catch (error) {
+      console.error('PhysicsManager: Failed to decode baked chunks:', error);
+      return false;
+    }
+
+    const metadata = baked.metadata || {};
+    if (metadata.chunkSize !== this.chunkSize || metadata.maxChildrenPerChunk !== this.maxChildrenPerChunk) {
+      console.warn('PhysicsManager: Baked chunks were partitioned with different settings:', {
+        baked: { chunkSize: metadata.chunkSize, maxChildrenPerChunk: metadata.maxChildrenPerChunk },
+        current: { chunkSize: this.chunkSize, maxChildrenPerChunk: this.maxChildrenPerChunk }
+      });
+    }
+
+    this.buildLevel = this.createLevel(levelId, options.active !== false);
+
+    baked.chunks.forEach(bakedChunk => {
+      const aabb = new THREE.Box3(
+        new THREE.Vector3().fromArray(bakedChunk.aabb.min),
+        new THREE.Vector3().fromArray(bakedChunk.aabb.max)
+      );
+      const chunk = new PhysicsChunk(this.getChunkId(this.buildLevel, bakedChunk.id), aabb);
+      chunk.depth = bakedChunk.depth;
+      if (bakedChunk.cellAABB) {
+        chunk.cellAABB = new THREE.Box3(
+          new THREE.Vector3().fromArray(bakedChunk.cellAABB.min),
+          new THREE.Vector3().fromArray(bakedChunk.cellAABB.max)
+        );
+      }
+
+      bakedChunk.shapes.forEach(descriptor => {
+        try {
+          chunk.shapes.push(this.createShapeFromBaked(descriptor));
+        } catch (error) {
+          console.error(`Failed to rebuild baked shape ${descriptor.name} in chunk ${bakedChunk.id}:`, error);
+        }
+      });
+
+      this.registerChunk(chunk);
+      this.recordLeafStats(chunk.depth, bakedChunk.childCount);
+    });
+
+    this.finalizePartitionStats();
+    this.buildLevel = null;
+    console.log(`PhysicsManager: Loaded ${baked.chunks.length} baked chunks`, metadata.source ? `from ${metadata.source}` : '');
+    return true;
+  }
+
+  /**
+   * Rebuild fitted shape data from a baked shape descriptor
+   */
+  createShapeFromBaked(descriptor) {
+    let shape;
+    if (descriptor.type === 'box') {
+      shape = new CANNON.Box(new CANNON.Vec3(...descriptor.halfExtents));
+    } else if (descriptor.type === 'convex') {
+      const vertices = [];
+      for (let i = 0; i < descriptor.vertices.length; i += 3) {
+        vertices.push(new CANNON.Vec3(descriptor.vertices[i], descriptor.vertices[i + 1], descriptor.vertices[i + 2]));
+      }
+      const faces = [];
+      for (let i = 0; i < descriptor.indices.length; i += 3) {
+        faces.push([descriptor.indices[i], descriptor.indices[i + 1], descriptor.indices[i + 2]]);
+      }
+      shape = new CANNON.ConvexPolyhedron({ vertices: vertices, faces: faces });
+    } else {
+      shape = new CANNON.Trimesh(Array.from(descriptor.vertices), Array.from(descriptor.indices));
+    }
+
+    return {
+      shape: shape,
+      type: descriptor.type,
+      offset: new THREE.Vector3().fromArray(descriptor.offset),
+      orientation: new THREE.Quaternion().fromArray(descriptor.orientation),
+      position: new THREE.Vector3().fromArray(descriptor.position),
+      quaternion: new THREE.Quaternion().fromArray(descriptor.quaternion),
+      material: descriptor.material || 'default',
+      trigger: descriptor.trigger || null,
+      mass: descriptor.mass || 0,
+      savedState: null,
+      pooledBody: null,
+      child: null, // Baked shapes have no source mesh
+      name: descriptor.name
+    };
+  }
+
+  /**
+   * Enable or disable collision AABB validation for chunks loaded from now on
+   */
+  setValidationMode(enabled, tolerance = this.validationTolerance) {
+    this.validateShapes = enabled;
+    this.validationTolerance = tolerance;
+    console.log(`PhysicsManager: Shape validation ${enabled ? 'enabled' : 'disabled'} (tolerance ${tolerance})`);
+  }
+
+  /**
+   * Options passed to chunks when they load
+   */
+  getLoadOptions() {
+    return {
+      materials: this.materials,
+      validation: this.validateShapes ? { tolerance: this.validationTolerance } : null
+    };
+  }
+
+  /**
+   * Get AABB validation results of all loaded chunks
+   * @param {boolean} mismatchesOnly - Only return flagged bodies
+   */
+  getValidationReport(mismatchesOnly = true) {
+    const report = [];
+    this.chunks.forEach(chunk => {
+      chunk.validationResults.forEach(result => {
+        if (!mismatchesOnly || result.mismatch) {
+          report.push(result);
+        }
+      });
+    });
+    return report;
+  }
+
+  /**
+   * Add a chunk to the level being built, the chunk map and the spatial index
+   */
+  registerChunk(chunk) {
+    chunk.level = this.buildLevel;
+    chunk.level.chunks.push(chunk);
+    this.chunks.set(chunk.id, chunk);
+    this.collisionMemory += chunk.measureMemory();
+    chunk.shapes.forEach(shapeData => {
+      if (shapeData.mass > 0) this.dynamicShapes.push({ chunkId: chunk.id, level: chunk.level, shapeData: shapeData });
+    });
+
+    const cellSize = this.indexCellSize;
+    const minX = Math.floor(chunk.aabb.min.x / cellSize);
+    const minY = Math.floor(chunk.aabb.min.y / cellSize);
+    const minZ = Math.floor(chunk.aabb.min.z / cellSize);
+    const maxX = Math.floor(chunk.aabb.max.x / cellSize);
+    const maxY = Math.floor(chunk.aabb.max.y / cellSize);
+    const maxZ = Math.floor(chunk.aabb.max.z / cellSize);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          const key = this.getCellKey(x, y, z);
+          let cell = this.spatialIndex.get(key);
+          if (!cell) {
+            cell = [];
+            this.spatialIndex.set(key, cell);
+          }
+          cell.push(chunk);
+        }
+      }
+    }
+  }
+
+  /**
+   * Numeric cell key (string keys would allocate on every lookup)
+   */
+  getCellKey(x, y, z) {
+    // 2048 cells per axis; cells further out wrap around, which only costs extra distance checks
+    return ((x & 2047) * 2048 + (y & 2047)) * 2048 + (z & 2047);
+  }
+
+  /**
+   * Collect chunks of active levels whose AABB lies within radius of a point into target (cleared first)
+   * @param {THREE.Vector3} position - Query point
+   * @param {number} radius - Distance to the nearest point of each chunk AABB
+   * @param {Array} target - Reusable result array
+   */
+  queryChunks(position, radius, target) {
+    target.length = 0;
+    const stamp = ++this.queryStamp;
+    const cellSize = this.indexCellSize;
+
+    const minX = Math.floor((position.x - radius) / cellSize);
+    const minY = Math.floor((position.y - radius) / cellSize);
+    const minZ = Math.floor((position.z - radius) / cellSize);
+    const maxX = Math.floor((position.x + radius) / cellSize);
+    const maxY = Math.floor((position.y + radius) / cellSize);
+    const maxZ = Math.floor((position.z + radius) / cellSize);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          const cell = this.spatialIndex.get(this.getCellKey(x, y, z));
+          if (!cell) continue;
+
+          for (let i = 0; i < cell.length; i++) {
+            const chunk = cell[i];
+            if (chunk.queryStamp === stamp || !chunk.level.active) continue;
+            chunk.queryStamp = stamp;
+
+            if (chunk.getDistanceToPoint(position) <= radius) {
+              target.push(chunk);
+            }
+          }
+        }
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Collect chunks whose AABB intersects a box into target (cleared first)
+   * @param {THREE.Box3} box - Query box
+   * @param {Array} target - Reusable result array
+   */
+  queryChunksInBox(box, target) {
+    target.length = 0;
+    const stamp = ++this.queryStamp;
+    const cellSize = this.indexCellSize;
+
+    const minX = Math.floor(box.min.x / cellSize);
+    const minY = Math.floor(box.min.y / cellSize);
+    const minZ = Math.floor(box.min.z / cellSize);
+    const maxX = Math.floor(box.max.x / cellSize);
+    const maxY = Math.floor(box.max.y / cellSize);
+    const maxZ = Math.floor(box.max.z / cellSize);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          const cell = this.spatialIndex.get(this.getCellKey(x, y, z));
+          if (!cell) continue;
+
+          for (let i = 0; i < cell.length; i++) {
+            const chunk = cell[i];
+            if (chunk.queryStamp === stamp || !chunk.level.active) continue;
+            chunk.queryStamp = stamp;
+
+            if (chunk.aabb.intersectsBox(box)) {
+              target.push(chunk);
+            }
+          }
+        }
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Load a chunk into the world and track it as loaded
+   */
+  loadChunk(chunk) {
+    if (chunk.isLoaded) return false;
+    this.ensureResident(chunk);
+    chunk.addToWorld(this.world, this.getLoadOptions());
+    this.loadedChunkList.push(chunk);
+    
+    if (this.hasListeners('chunkLoaded')) {
+      this.trigger('chunkLoaded', { chunkId: chunk.id, bodies: chunk.physicsBodies.length });
+    }
+    return true;
+  }
+
+  /**
+   * Hand props that moved to the chunk under them, so a prop streams with the ground it
+   * rests on instead of the chunk it spawned in (part of updateChunks())
+   */
+  updatePropOwnership() {
+    for (let i = 0; i < this.dynamicShapes.length; i++) {
+      const entry = this.dynamicShapes[i];
+      const body = entry.shapeData.body;
+      if (body && body.sleepState !== CANNON.Body.SLEEPING) {
+        this.rehomeProp(entry);
+      }
+    }
+  }
+
+  /**
+   * Move a prop in the world to the chunk whose cell is nearest its body. A prop that
+   * moves into an unloaded chunk is saved and removed until that chunk loads, since the
+   * floor beneath it is not in the world either.
+   * @param {Object} entry - dynamicShapes entry
+   * @returns {boolean} True if the prop changed chunks
+   */
+  rehomeProp(entry) {
+    const shapeData = entry.shapeData;
+    const body = shapeData.body;
+    const owner = this.chunks.get(entry.chunkId);
+    this.propCellPoint.set(body.position.x, body.position.y, body.position.z);
+    const candidates = this.queryChunks(this.propCellPoint, this.enterChunkMargin, this.propChunks);
+    const target = this.findNearestCell(this.propCellPoint, candidates, owner.id, entry.level);
+    if (!target || target === owner) return false;
+    
+    // Shape lists must match an evicted chunk's descriptors, so restore before appending
+    this.ensureResident(target);
+    owner.shapes.splice(owner.shapes.indexOf(shapeData), 1);
+    owner.physicsBodies.splice(owner.physicsBodies.indexOf(body), 1);
+    target.shapes.push(shapeData);
+    owner.shapeCache = null;
+    target.shapeCache = null;
+    const previousBytes = owner.memoryBytes + target.memoryBytes;
+    this.collisionMemory += owner.measureMemory() + target.measureMemory() - previousBytes;
+    body.userData.chunkId = target.id;
+    entry.chunkId = target.id;
+    
+    if (target.isLoaded) {
+      target.physicsBodies.push(body);
+    } else {
+      this.world.removeBody(body);
+      shapeData.savedState = owner.saveBodyState(body);
+      shapeData.body = null;
+    }
+    return true;
+  }
+
+  /**
+   * Remove a chunk from the world and stop tracking it
+   */
+  unloadChunk(chunk) {
+    if (!chunk.isLoaded) return false;
+    // Props that rolled into a neighbouring chunk go with it rather than with this one
+    for (let i = 0; i < this.dynamicShapes.length; i++) {
+      const entry = this.dynamicShapes[i];
+      if (entry.chunkId === chunk.id && entry.shapeData.body) {
+        this.rehomeProp(entry);
+      }
+    }
+    const bodies = chunk.physicsBodies.length;
+    if (this.activeTriggers.size > 0) {
+      // Removed bodies never get a usable endContact
+      chunk.physicsBodies.forEach(body => this.exitTrigger(body, 'unloaded'));
+    }
+    chunk.removeFromWorld(this.world);
+    const index = this.loadedChunkList.indexOf(chunk);
+    if (index !== -1) {
+      // Swap-remove; order of loaded chunks does not matter
+      this.loadedChunkList[index] = this.loadedChunkList[this.loadedChunkList.length - 1];
+      this.loadedChunkList.pop();
+    }
+    
+    if (this.hasListeners('chunkUnloaded')) {
+      this.trigger('chunkUnloaded', { chunkId: chunk.id, bodies: bodies });
+    }
+    return true;
+  }
+
+  /**
+   * Make sure a chunk's collision data is in memory, rebuilding it if it was evicted
+   */
+  ensureResident(chunk) {
+    chunk.lastUsedFrame = this.streamFrame;
+    if (chunk.isResident) return;
+    
+    this.collisionMemory += chunk.restoreShapes(this.createShapeFromBaked);
+    this.restores++;
+    console.log(`PhysicsManager: Restored collision data of chunk ${chunk.id} (${(chunk.memoryBytes / 1024).toFixed(1)} KB)`);
+  }
+
+  /**
+   * Evict the least recently used chunks beyond evictionRadius until collision data fits the budget
+   */
+  enforceMemoryBudget() {
+    if (this.collisionMemory <= this.memoryBudget) return;
+
+    const candidates = [];
+    this.chunks.forEach(chunk => {
+      if (chunk.isEvictable() && this.getStreamingDistance(chunk) > this.evictionRadius) {
+        candidates.push(chunk);
+      }
+    });
+    candidates.sort((a, b) => a.lastUsedFrame - b.lastUsedFrame);
+
+    let evicted = 0;
+    for (let i = 0; i < candidates.length && this.collisionMemory > this.memoryBudget; i++) {
+      this.collisionMemory -= candidates[i].evictShapes();
+      evicted++;
+    }
+    this.evictions += evicted;
+
+    if (evicted > 0) {
+      console.log(`PhysicsManager: Evicted collision data of ${evicted} chunks; ${(this.collisionMemory / 1024).toFixed(1)} KB of ${(this.memoryBudget / 1024).toFixed(1)} KB in use`);
+    }
+  }
+
+  /**
+   * Take a chunk out of whichever queue it is waiting in
+   */
+  dequeueChunk(chunk) {
+    if (!chunk.queueState) return;
+    const queue = chunk.queueState === 'load' ? this.loadQueue : this.unloadQueue;
+    const index = queue.indexOf(chunk);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    chunk.queueState = null;
+  }
+
+  /**
+   * Predict the tracked body's path for the coming lookAheadTime
+   */
+  updatePrediction(tracked) {
+    // Accept a CANNON.Body (position + velocity) or a plain point
+    if (tracked.addEventListener) {
+      this.setTrackedBody(tracked);
+    }
+    const position = tracked.position || tracked;
+    this.playerPosition.set(position.x, position.y, position.z);
+
+    if (tracked.velocity) {
+      this.trackedVelocity.set(tracked.velocity.x, tracked.velocity.y, tracked.velocity.z);
+    } else {
+      this.trackedVelocity.set(0, 0, 0);
+    }
+
+    const speed = this.trackedVelocity.length();
+    this.isPredicting = speed > this.predictionMinSpeed && this.lookAheadTime > 0;
+    this.predictedPosition.copy(this.playerPosition);
+
+    if (this.isPredicting) {
+      this.predictedPosition.addScaledVector(this.trackedVelocity, this.lookAheadTime);
+      // Sample spacing of half the load radius keeps the sphere chain within 3% of a true capsule
+      const pathLength = speed * this.lookAheadTime;
+      this.predictionSamples = Math.ceil(pathLength / (this.loadRadius * 0.5));
+    } else {
+      this.predictionSamples = 0;
+    }
+  }
+
+  /**
+   * Distance used for streaming decisions, compared against loadRadius and unloadRadius.
+   * Ahead of a moving body this is the distance to the predicted path; behind it the
+   * distance is scaled up so chunks only load within behindRadius.
+   */
+  getStreamingDistance(chunk) {
+    const distance = chunk.getDistanceToPoint(this.playerPosition);
+    if (!this.isPredicting) return distance;
+
+    chunk.aabb.clampPoint(this.playerPosition, this.closestPoint);
+    const behind = this.closestPoint.sub(this.playerPosition).dot(this.trackedVelocity) < 0;
+    if (behind) {
+      return distance * (this.loadRadius / this.behindRadius);
+    }
+
+    let nearest = distance;
+    for (let i = 1; i <= this.predictionSamples; i++) {
+      this.predictionSample.lerpVectors(this.playerPosition, this.predictedPosition, i / this.predictionSamples);
+      nearest = Math.min(nearest, chunk.getDistanceToPoint(this.predictionSample));
+    }
+    return nearest;
+  }
+
+  /**
+   * Update the tracked body and queue chunk loading/unloading.
+   * Chunks along the body's predicted path load out to loadRadius, chunks behind it only
+   * out to behindRadius. Chunks within guaranteeRadius plus guaranteeTime of travel load
+   * immediately; the rest are processed nearest first until maxBodiesPerFrame or
+   * frameBudgetMs is used up. Only cells near the path and loaded or queued chunks are
+   * visited, and nothing is allocated unless a chunk loads or unloads.
+   * @param {CANNON.Body|THREE.Vector3} tracked - Body to stream around (a point disables prediction)
+   */
+  updateChunks(tracked) {
+    this.updatePrediction(tracked);
+    this.updateCurrentChunk();
+    this.streamFrame++;
+    
+    if (!this.world) {
+      console.warn('PhysicsManager: No world reference set');
+      return;
+    }
+
+    const frameStart = performance.now();
+    const frame = this.lastFrameStats;
+    frame.loaded = 0;
+    frame.unloaded = 0;
+    frame.forced = 0;
+    frame.bodies = 0;
+
+    this.updatePropOwnership();
+
+    // Queue loaded chunks that left the unload radius
+    for (let i = 0; i < this.loadedChunkList.length; i++) {
+      const chunk = this.loadedChunkList[i];
+      chunk.lastUsedFrame = this.streamFrame;
+      if (!chunk.queueState && this.getStreamingDistance(chunk) > this.unloadRadius) {
+        chunk.queueState = 'unload';
+        this.unloadQueue.push(chunk);
+      }
+    }
+
+    // Drop queued unloads that came back into range, and queued loads that left it
+    for (let i = this.unloadQueue.length - 1; i >= 0; i--) {
+      const chunk = this.unloadQueue[i];
+      if (this.getStreamingDistance(chunk) <= this.unloadRadius) {
+        chunk.queueState = null;
+        this.unloadQueue.splice(i, 1);
+      }
+    }
+    for (let i = this.loadQueue.length - 1; i >= 0; i--) {
+      const chunk = this.loadQueue[i];
+      chunk.queueDistance = this.getStreamingDistance(chunk);
+      if (chunk.queueDistance > this.loadRadius) {
+        chunk.queueState = null;
+        this.loadQueue.splice(i, 1);
+      }
+    }
+
+    // Queue chunks that entered the load radius around the predicted path
+    this.queryCenter.lerpVectors(this.playerPosition, this.predictedPosition, 0.5);
+    const queryRadius = this.loadRadius + this.playerPosition.distanceTo(this.predictedPosition) / 2;
+    const nearby = this.queryChunks(this.queryCenter, queryRadius, this.nearbyChunks);
+    for (let i = 0; i < nearby.length; i++) {
+      const chunk = nearby[i];
+      if (!chunk.isLoaded && !chunk.queueState) {
+        const distance = this.getStreamingDistance(chunk);
+        if (distance > this.loadRadius) continue;
+        chunk.queueState = 'load';
+        chunk.queueDistance = distance;
+        this.loadQueue.push(chunk);
+      }
+    }
+
+    // Chunks the ball is about to touch cannot wait for the budget
+    const urgentRadius = this.guaranteeRadius + this.trackedVelocity.length() * this.guaranteeTime;
+    const urgent = this.queryChunks(this.playerPosition, urgentRadius, this.urgentChunks);
+    for (let i = 0; i < urgent.length; i++) {
+      const chunk = urgent[i];
+      if (chunk.isLoaded) continue;
+      this.dequeueChunk(chunk);
+      this.loadChunk(chunk);
+      frame.loaded++;
+      frame.forced++;
+      frame.bodies += chunk.shapes.length;
+    }
+
+    // Nearest first within the per-frame budget; at least one chunk per frame so the queue drains
+    this.loadQueue.sort(this.compareQueueDistance);
+    while (this.loadQueue.length > 0 && (frame.loaded === 0 || this.hasFrameBudget(frameStart))) {
+      const chunk = this.loadQueue.pop();
+      chunk.queueState = null;
+      this.loadChunk(chunk);
+      frame.loaded++;
+      frame.bodies += chunk.shapes.length;
+    }
+
+    while (this.unloadQueue.length > 0 && (frame.unloaded === 0 || this.hasFrameBudget(frameStart))) {
+      const chunk = this.unloadQueue.pop();
+      chunk.queueState = null;
+      frame.bodies += chunk.physicsBodies.length;
+      this.unloadChunk(chunk);
+      frame.unloaded++;
+    }
+
+    this.enforceMemoryBudget();
+
+    frame.ms = performance.now() - frameStart;
+
+    if (frame.loaded > 0 || frame.unloaded > 0) {
+      console.log(`PhysicsManager: Loaded ${frame.loaded} chunks (${frame.forced} forced), unloaded ${frame.unloaded} chunks in ${frame.ms.toFixed(2)}ms; ${this.loadQueue.length} loads and ${this.unloadQueue.length} unloads queued`);
+    }
+  }
+
+  /**
+   * Check whether the current frame still has body and time budget left
+   */
+  hasFrameBudget(frameStart) {
+    return this.lastFrameStats.bodies < this.maxBodiesPerFrame &&
+      performance.now() - frameStart < this.frameBudgetMs;
+  }
+
+  /**
+   * Add chunk to physics world by ID
+   */
+  addChunk(chunkId) {
+    const chunk = this.chunks.get(chunkId);
+    if (chunk && this.world) {
+      this.dequeueChunk(chunk);
+      this.loadChunk(chunk);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Remove chunk from physics world by ID
+   */
+  removeChunk(chunkId) {
+    const chunk = this.chunks.get(chunkId);
+    if (chunk && this.world) {
+      this.dequeueChunk(chunk);
+      this.unloadChunk(chunk);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get all loaded chunks
+   */
+  getLoadedChunks() {
+    const loaded = [];
+    this.chunks.forEach((chunk, id) => {
+      if (chunk.isLoaded) {
+        loaded.push(id);
+      }
+    });
+    return loaded;
+  }
+
+  /**
+   * Get chunks within radius of point
+   */
+  getChunksInRadius(position, radius) {
+    return this.queryChunks(position, radius, []).map(chunk => chunk.id);
+  }
+
+  /**
+   * Get the pose a shape currently has: its body's while loaded, otherwise the animated
+   * pose, the saved prop state or the pose it was fitted in
+   */
+  getShapePose(shapeData, position, quaternion) {
+    const body = shapeData.body;
+    if (body) {
+      position.set(body.position.x, body.position.y, body.position.z);
+      quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+    } else if (shapeData.animation) {
+      getAnimatedPose(shapeData, position, quaternion);
+    } else if (shapeData.savedState) {
+      const state = shapeData.savedState;
+      position.set(state.position.x, state.position.y, state.position.z);
+      quaternion.set(state.quaternion.x, state.quaternion.y, state.quaternion.z, state.quaternion.w);
+    } else {
+      position.copy(shapeData.position);
+      quaternion.copy(shapeData.quaternion);
+    }
+  }
+
+  /**
+   * Run a per-shape test on every shape a query may touch and collect the hits.
+   * Candidate chunks come from the spatial index and their AABBs; dynamic props are
+   * tested wherever they are. Unloaded chunks are tested from their shape data.
+   * @param {THREE.Box3} bounds - World bounds of the query
+   * @param {Function} chunkFilter - Returns false for candidate chunks the query cannot reach
+   * @param {Function} test - (shapeData, position, quaternion) => hit or null
+   * @param {Object} options - { includeTriggers }
+   * @returns {Array} Hits with chunkId, name, material and trigger added
+   */
+  collectShapeHits(bounds, chunkFilter, test, options) {
+    const includeTriggers = !!options.includeTriggers;
+    const hits = [];
+    const testShape = (chunkId, shapeData) => {
+      if (shapeData.trigger && !includeTriggers) return;
+      this.getShapePose(shapeData, this.queryPosition, this.queryQuaternion);
+      const hit = test(shapeData, this.queryPosition, this.queryQuaternion);
+      if (hit) {
+        hit.chunkId = chunkId;
+        hit.name = shapeData.name;
+        hit.material = shapeData.material;
+        hit.trigger = shapeData.trigger || null;
+        hits.push(hit);
+      }
+    };
+
+    const candidates = this.queryChunksInBox(bounds, this.queryChunkList);
+    for (let i = 0; i < candidates.length; i++) {
+      const chunk = candidates[i];
+      if (!chunkFilter(chunk)) continue;
+      this.ensureResident(chunk);
+      chunk.shapes.forEach(shapeData => {
+        if (!(shapeData.mass > 0)) testShape(chunk.id, shapeData);
+      });
+      // Query triangles are built on first use and count toward the budget
+      const previousBytes = chunk.memoryBytes;
+      this.collisionMemory += chunk.measureMemory() - previousBytes;
+    }
+
+    for (let i = 0; i < this.dynamicShapes.length; i++) {
+      const entry = this.dynamicShapes[i];
+      if (entry.level.active) testShape(entry.chunkId, entry.shapeData);
+    }
+
+    return hits;
+  }
+
+  /**
+   * Set up the query ray and bounds for a cast from one point to another
+   * @returns {number} Cast length
+   */
+  prepareCast(from, to, radius) {
+    this.queryFrom.set(from.x, from.y, from.z);
+    this.queryDirection.set(to.x - from.x, to.y - from.y, to.z - from.z);
+    const length = this.queryDirection.length();
+    if (length > 0) {
+      this.queryDirection.divideScalar(length);
+    }
+    this.queryRay.set(this.queryFrom, this.queryDirection);
+
+    this.queryBox.makeEmpty();
+    this.queryBox.expandByPoint(this.queryFrom);
+    this.queryBox.expandByPoint(this.queryTo.set(to.x, to.y, to.z));
+    this.queryBox.expandByScalar(radius);
+    return length;
+  }
+
+  /**
+   * Check whether the query ray enters a chunk's AABB (grown by radius) within length
+   */
+  castReachesChunk(chunk, radius, length) {
+    const box = this.queryChunkBox.copy(chunk.aabb).expandByScalar(radius);
+    if (box.containsPoint(this.queryFrom)) return true;
+    const entry = this.queryRay.intersectBox(box, this.queryEntry);
+    return entry !== null && entry.distanceTo(this.queryFrom) <= length;
+  }
+
+  /**
+   * Cast a ray through the level, including chunks that are not loaded
+   * @param {THREE.Vector3|CANNON.Vec3} from - Start point
+   * @param {THREE.Vector3|CANNON.Vec3} to - End point
+   * @param {Object} options - { includeTriggers: false }
+   * @returns {Object|null} Nearest hit { chunkId, name, point, normal, distance, material, trigger }
+   */
+  raycast(from, to, options = {}) {
+    const length = this.prepareCast(from, to, 0);
+    if (length === 0) return null;
+
+    const origin = this.queryFrom;
+    const direction = this.queryDirection;
+    const hits = this.collectShapeHits(
+      this.queryBox,
+      chunk => this.castReachesChunk(chunk, 0, length),
+      (shapeData, position, quaternion) =>
+        this.shapeQueries.raycast(shapeData, position, quaternion, origin, direction, length),
+      options
+    );
+    return getNearestHit(hits);
+  }
+
+  /**
+   * Sweep a sphere through the level, including chunks that are not loaded
+   * @param {THREE.Vector3|CANNON.Vec3} from - Sphere center at the start
+   * @param {THREE.Vector3|CANNON.Vec3} to - Sphere center at the end
+   * @param {number} radius - Sphere radius
+   * @param {Object} options - { includeTriggers: false }
+   * @returns {Object|null} First hit { chunkId, name, point, normal, distance, position, material, trigger };
+   *   distance is how far the center traveled and position where the sphere touches
+   */
+  sphereCast(from, to, radius, options = {}) {
+    const length = this.prepareCast(from, to, radius);
+    if (length === 0) return null;
+
+    const origin = this.queryFrom;
+    const direction = this.queryDirection;
+    const hits = this.collectShapeHits(
+      this.queryBox,
+      chunk => this.castReachesChunk(chunk, radius, length),
+      (shapeData, position, quaternion) =>
+        this.shapeQueries.sphereCast(shapeData, position, quaternion, origin, direction, length, radius),
+      options
+    );
+
+    const hit = getNearestHit(hits);
+    if (hit) {
+      hit.position = origin.clone().addScaledVector(direction, hit.distance);
+    }
+    return hit;
+  }
+
+  /**
+   * Find the level children overlapping a box, including chunks that are not loaded
+   * @param {THREE.Vector3|CANNON.Vec3} center - Box center
+   * @param {THREE.Vector3|CANNON.Vec3} halfExtents - Box half extents
+   * @param {THREE.Quaternion|CANNON.Quaternion} quaternion - Box rotation (optional)
+   * @param {Object} options - { includeTriggers: false }
+   * @returns {Array} One hit { chunkId, name, point, normal, material, trigger } per child; point is
+   *   the child's surface point nearest the box center
+   */
+  overlapBox(center, halfExtents, quaternion = null, options = {}) {
+    const boxCenter = new THREE.Vector3(center.x, center.y, center.z);
+    const boxHalfExtents = new THREE.Vector3(halfExtents.x, halfExtents.y, halfExtents.z);
+    const boxQuaternion = quaternion
+      ? new THREE.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w)
+      : new THREE.Quaternion();
+
+    // Chunks are narrowed with the box's world AABB, which covers any rotation
+    const reach = boxHalfExtents.length();
+    this.queryBox.setFromCenterAndSize(boxCenter, this.queryTo.setScalar(reach * 2));
+
+    return this.collectShapeHits(
+      this.queryBox,
+      () => true,
+      (shapeData, position, shapeQuaternion) =>
+        this.shapeQueries.overlapBox(shapeData, position, shapeQuaternion, boxCenter, boxHalfExtents, boxQuaternion),
+      options
+    );
+  }
+
+  /**
+   * Get the fitted shape type of every level child
+   */
+  getShapeReport() {
+    const report = [];
+    this.chunks.forEach((chunk, id) => {
+      chunk.shapes.forEach(shapeData => {
+        report.push({
+          chunkId: id,
+          name: shapeData.name,
+          type: shapeData.type,
+          material: shapeData.material,
+          trigger: shapeData.trigger || null,
+          mass: shapeData.mass
+        });
+      });
+    });
+    return report;
+  }
+
+  /**
+   * Get physics manager status
+   */
+  getStatus() {
+    const loadedChunks = this.getLoadedChunks();
+
+    let totalShapes = 0;
+    let loadedShapes = 0;
+    let totalTriggers = 0;
+    const shapeTypes = { box: 0, convex: 0, trimesh: 0 };
+    this.chunks.forEach(chunk => {
+      totalShapes += chunk.shapes.length;
+      totalTriggers += chunk.shapes.filter(shapeData => shapeData.trigger).length;
+      if (chunk.isLoaded) {
+        loadedShapes += chunk.shapes.length;
+      }
+      const counts = chunk.getShapeTypeCounts();
+      Object.keys(counts).forEach(type => {
+        shapeTypes[type] += counts[type];
+      });
+    });
+
+    let bodiesCreated = 0;
+    let bodiesReused = 0;
+    let pooledBodies = 0;
+    let residentChunks = 0;
+    let cachedBytes = 0;
+    this.chunks.forEach(chunk => {
+      if (chunk.isResident) residentChunks++;
+      if (chunk.shapeCache) cachedBytes += chunk.shapeCache.byteLength;
+      bodiesCreated += chunk.bodiesCreated;
+      bodiesReused += chunk.bodiesReused;
+      if (!chunk.isLoaded) {
+        pooledBodies += chunk.shapes.filter(shapeData => shapeData.pooledBody).length;
+      }
+    });
+
+    let validatedBodies = 0;
+    let validationMismatches = 0;
+    this.chunks.forEach(chunk => {
+      validatedBodies += chunk.validationResults.length;
+      validationMismatches += chunk.validationResults.filter(result => result.mismatch).length;
+    });
+
+    const levels = [];
+    const props = [];
+    let clips = 0;
+    let animatedShapes = 0;
+    let animationTime = 0;
+    let partitionLevel = null; // First active level, which the partition summary describes
+    this.levels.forEach(level => {
+      if (level.active && !partitionLevel) partitionLevel = level;
+      levels.push({
+        id: level.id,
+        active: level.active,
+        chunks: level.chunks.length,
+        partition: this.summarizePartitionStats(level.partitionStats)
+      });
+      props.push(...level.props);
+      if (level.mixer) {
+        clips += level.animationRoot.animations.length;
+        animatedShapes += level.animatedShapes.length;
+        if (level.active) animationTime = level.mixer.time;
+      }
+    });
+
+    return {
+      totalChunks: this.chunks.size,
+      loadedChunks: loadedChunks.length,
+      loadedChunkIds: loadedChunks,
+      totalShapes: totalShapes,
+      loadedShapes: loadedShapes,
+      shapeTypes: shapeTypes,
+      totalTriggers: totalTriggers,
+      memory: {
+        used: this.collisionMemory, // Estimated bytes of resident collision data
+        budget: this.memoryBudget,
+        cached: cachedBytes, // Compact copies of evicted and previously evicted chunks
+        residentChunks: residentChunks,
+        evictions: this.evictions,
+        restores: this.restores
+      },
+      bodyPool: {
+        created: bodiesCreated,
+        reused: bodiesReused, // Allocations avoided by re-adding pooled bodies
+        pooled: pooledBodies // Bodies of unloaded chunks waiting for their next load
+      },
+      validation: {
+        enabled: this.validateShapes,
+        checked: validatedBodies,
+        mismatches: validationMismatches
+      },
+      playerPosition: this.playerPosition.clone(),
+      currentChunkId: this.currentChunkId,
+      activeTriggers: Array.from(this.activeTriggers.values()).map(trigger => trigger.name),
+      levels: levels,
+      props: {
+        total: props.length,
+        loaded: props.filter(shapeData => shapeData.body).length,
+        saved: props.filter(shapeData => !shapeData.body && shapeData.savedState).length
+      },
+      animation: {
+        clips: clips,
+        animatedShapes: animatedShapes,
+        time: animationTime
+      },
+      prediction: {
+        active: this.isPredicting,
+        predictedPosition: this.predictedPosition.clone(),
+        lookAheadTime: this.lookAheadTime,
+        behindRadius: this.behindRadius
+      },
+      loadRadius: this.loadRadius,
+      unloadRadius: this.unloadRadius,
+      queue: {
+        pendingLoads: this.loadQueue.length,
+        pendingUnloads: this.unloadQueue.length,
+        lastFrameLoaded: this.lastFrameStats.loaded,
+        lastFrameUnloaded: this.lastFrameStats.unloaded,
+        lastFrameForced: this.lastFrameStats.forced,
+        lastFrameBodies: this.lastFrameStats.bodies,
+        lastFrameMs: parseFloat(this.lastFrameStats.ms.toFixed(2)),
+        maxBodiesPerFrame: this.maxBodiesPerFrame,
+        frameBudgetMs: this.frameBudgetMs
+      },
+      // Octree of the first active level; levels[] has one per level
+      partition: this.summarizePartitionStats(partitionLevel ? partitionLevel.partitionStats : this.createEmptyPartitionStats())
+    };
+  }
+
+  /**
+   * Rounded octree statistics of one level for getStatus()
+   */
+  summarizePartitionStats(stats) {
+    return {
+      leafCount: stats.leafCount,
+      maxDepth: stats.maxDepth,
+      averageDepth: parseFloat(stats.averageDepth.toFixed(2)),
+      minChildren: stats.leafCount > 0 ? stats.minChildren : 0,
+      maxChildren: stats.maxChildren,
+      averageChildren: parseFloat(stats.averageChildren.toFixed(2)),
+      overfullChunks: stats.overfullChunks,
+      maxChildrenPerChunk: this.maxChildrenPerChunk
+    };
+  }
+
+  /**
+   * Cleanup all chunks of every level
+   */
+  cleanup() {
+    console.log('PhysicsManager: Cleaning up all chunks...');
+    
+    if (this.world) {
+      this.chunks.forEach(chunk => {
+        if (chunk.isLoaded) {
           chunk.removeFromWorld(this.world);
         }
       });
     }
     
     this.chunks.clear();
+    this.spatialIndex.clear();
+    this.loadedChunkList = [];
+    this.loadQueue = [];
+    this.unloadQueue = [];
+    this.nearbyChunks.length = 0;
+    this.urgentChunks.length = 0;
+    this.containingChunks.length = 0;
+    this.setTrackedBody(null); // Event subscriptions are kept for the next level
+    this.stopAnimations();
+    this.levels.clear();
+    this.dynamicShapes = [];
+    this.queryChunkList.length = 0;
+    this.collisionMemory = 0;
     console.log('PhysicsManager: Cleanup complete');
   }
 }
 
-// Export singleton instance
-export const physicsManager = new PhysicsManager({
+// Level chunking settings, shared with the offline baker (scripts/bakeChunks.mjs)
+export const LEVEL_PHYSICS_OPTIONS = {
   maxChildrenPerChunk: 8,
   loadRadius: 30,
   unloadRadius: 50,
   chunkSize: 15
-});
\ No newline at end of file
+};
+
+// Export singleton instance
+export const physicsManager = new PhysicsManager(LEVEL_PHYSICS_OPTIONS);
\ No newline at end of file
@@ -0,0 +1,167 @@
+import * as CANNON from 'cannon-es';
+
+// Built-in surface presets; friction and restitution are combined per pair into ContactMaterials
+const MATERIAL_PRESETS = {
+  default: { friction: 0.4, restitution: 0.3 },
+  player: { friction: 0.3, restitution: 0.7 },
+  ice: { friction: 0.02, restitution: 0.1 },
+  rubber: { friction: 0.9, restitution: 0.8 },
+  sticky: { friction: 1.0, restitution: 0.0 },
+  bouncy: { friction: 0.3, restitution: 0.95 }
+};
+
+// Matches e.g. "Platform_ice", "Ice.003" or "Wall-Bouncy_2"
+const NAME_PATTERN = /(?:^|[_.\-\s])([a-z]+)(?=$|[_.\-\s\d])/gi;
+
+/**
+ * MaterialRegistry - Named physics materials and their ContactMaterial pairs.
+ * Level children pick a material through GLTF extras (userData.physicsMaterial)
+ * or a name token such as "Platform_ice".
+ */
+export class MaterialRegistry {
+  constructor(presets = MATERIAL_PRESETS) {
+    this.definitions = new Map(); // Map<string, { friction, restitution }>
+    this.materials = new Map(); // Map<string, CANNON.Material>
+    this.pairOverrides = new Map(); // Map<string, { friction, restitution }>
+    this.contactMaterials = new Map(); // Map<string, CANNON.ContactMaterial>
+
+    Object.keys(presets).forEach(name => this.define(name, presets[name]));
+  }
+
+  /**
+   * Add or replace a named material
+   * @param {string} name - Material name (case-insensitive)
+   * @param {Object} properties - { friction, restitution }
+   */
+  define(name, properties) {
+    const key = name.toLowerCase();
+    this.definitions.set(key, { friction: properties.friction, restitution: properties.restitution });
+
+    if (!this.materials.has(key)) {
+      // Friction/restitution stay at -1 on the material so the ContactMaterial values are used
+      this.materials.set(key, new CANNON.Material(key));
+    }
+
+    this.rebuildContactMaterials();
+  }
+
+  /**
+   * Override the combined values of one material pair
+   */
+  setContactPair(nameA, nameB, properties) {
+    this.pairOverrides.set(this.getPairKey(nameA.toLowerCase(), nameB.toLowerCase()), properties);
+    this.rebuildContactMaterials();
+  }
+
+  /**
+   * Check if a material name is defined
+   */
+  has(name) {
+    return typeof name === 'string' && this.definitions.has(name.toLowerCase());
+  }
+
+  /**
+   * Get the shared CANNON.Material for a name (falls back to default)
+   */
+  get(name) {
+    const key = this.has(name) ? name.toLowerCase() : 'default';
+    return this.materials.get(key);
+  }
+
+  /**
+   * Pick the material name for a level child from its userData/GLTF extras or its name.
+   * Ancestors are checked too, since GLTF extras often sit on the node above the mesh.
+   * @param {THREE.Object3D} object - Level child
+   * @returns {string} Material name
+   */
+  resolveName(object) {
+    for (let node = object; node; node = node.parent) {
+      const declared = node.userData && (node.userData.physicsMaterial || node.userData.material);
+      if (typeof declared === 'string') {
+        if (this.has(declared)) return declared.toLowerCase();
+        console.warn(`MaterialRegistry: Unknown physics material "${declared}" on ${node.name || 'unnamed node'}, using default`);
+        return 'default';
+      }
+
+      if (node.name) {
+        for (const match of node.name.matchAll(NAME_PATTERN)) {
+          const token = match[1].toLowerCase();
+          if (token !== 'default' && token !== 'player' && this.has(token)) return token;
+        }
+      }
+    }
+    return 'default';
+  }
+
+  /**
+   * Register every ContactMaterial pair on a world (safe to call more than once)
+   * @param {CANNON.World} world - Physics world
+   */
+  registerWithWorld(world) {
+    this.contactMaterials.forEach(contactMaterial => {
+      if (!world.contactmaterials.includes(contactMaterial)) {
+        world.addContactMaterial(contactMaterial);
+      }
+    });
+
+    const fallback = this.definitions.get('default');
+    world.defaultContactMaterial.friction = fallback.friction;
+    world.defaultContactMaterial.restitution = fallback.restitution;
+
+    console.log(`MaterialRegistry: Registered ${this.contactMaterials.size} contact materials`);
+  }
+
+  /**
+   * Create or update a ContactMaterial for every pair of defined materials
+   */
+  rebuildContactMaterials() {
+    const names = Array.from(this.definitions.keys());
+
+    names.forEach((nameA, i) => {
+      names.slice(i).forEach(nameB => {
+        const key = this.getPairKey(nameA, nameB);
+        const properties = this.pairOverrides.get(key) || this.combine(this.definitions.get(nameA), this.definitions.get(nameB));
+
+        // Update in place so worlds that already hold the ContactMaterial see the new values
+        let contactMaterial = this.contactMaterials.get(key);
+        if (!contactMaterial) {
+          contactMaterial = new CANNON.ContactMaterial(this.materials.get(nameA), this.materials.get(nameB), properties);
+          this.contactMaterials.set(key, contactMaterial);
+        }
+        contactMaterial.friction = properties.friction;
+        contactMaterial.restitution = properties.restitution;
+      });
+    });
+  }
+
+  /**
+   * Combine two materials (geometric mean, so a zero on either side wins)
+   */
+  combine(a, b) {
+    return {
+      friction: Math.sqrt(a.friction * b.friction),
+      restitution: Math.sqrt(a.restitution * b.restitution)
+    };
+  }
+
+  getPairKey(nameA, nameB) {
+    return nameA < nameB ? `${nameA}|${nameB}` : `${nameB}|${nameA}`;
+  }
+
+  /**
+   * Get registry status
+   */
+  getStatus() {
+    const materials = {};
+    this.definitions.forEach((properties, name) => {
+      materials[name] = { ...properties };
+    });
+    return {
+      materials: materials,
+      contactMaterials: this.contactMaterials.size
+    };
+  }
+}
+
+// Export singleton instance
+export const materialRegistry = new MaterialRegistry();
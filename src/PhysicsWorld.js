@@ -0,0 +1,54 @@
+import * as CANNON from 'cannon-es';
+import { materialRegistry } from './PhysicsMaterials.js';
+
+// Ball settings shared by the app and the headless simulation
+export const PLAYER_RADIUS = 0.5;
+export const PLAYER_SPAWN = [0, 5, 0];
+export const RESET_HEIGHT = -10; // The ball respawns below this height
+export const FIXED_TIME_STEP = 1 / 60;
+
+export const CONTINUOUS_COLLISION_OPTIONS = {
+  speedThreshold: 15, // m/s; strong accelerometer gravity gets the ball well past this
+  maxTravelFraction: 0.5,
+  maxSubSteps: 8
+};
+
+/**
+ * Create the physics world with the game's solver and sleep settings
+ * @param {MaterialRegistry} materials - Named materials registered on the world
+ * @returns {CANNON.World}
+ */
+export function createPhysicsWorld(materials = materialRegistry) {
+  const world = new CANNON.World();
+  world.gravity.set(0, -9.82, 0);
+  world.broadphase = new CANNON.NaiveBroadphase();
+
+  // Optimize solver for performance
+  world.solver.iterations = 5; // Reduced from 10
+  world.solver.tolerance = 0.1;
+
+  // Allow sleeping for static and slow-moving bodies (performance boost)
+  world.allowSleep = true;
+  world.sleepSpeedLimit = 0.1; // Bodies slower than this will sleep
+  world.sleepTimeLimit = 1; // Bodies must be slow for 1 second to sleep
+
+  // Named materials (default, player, ice, rubber, sticky, bouncy) and their contact pairs
+  materials.registerWithWorld(world);
+
+  return world;
+}
+
+/**
+ * Create the ball body at the spawn point (not yet added to a world)
+ * @param {MaterialRegistry} materials - Provides the 'player' material
+ * @returns {CANNON.Body}
+ */
+export function createPlayerBody(materials = materialRegistry) {
+  const body = new CANNON.Body({
+    mass: 1,
+    material: materials.get('player')
+  });
+  body.addShape(new CANNON.Sphere(PLAYER_RADIUS));
+  body.position.set(...PLAYER_SPAWN);
+  return body;
+}
@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+/**
+ * Build the procedural demo level (ground, platforms, walls, obstacles and crates)
+ * @returns {THREE.Group} Level model ready for PhysicsManager.processGeometry()
+ */
+export function createProceduralLevel() {
+  const model = new THREE.Group();
+  model.name = 'ProceduralLevel';
+
+  // Main ground platform
+  const mainGround = new THREE.Mesh(
+    new THREE.BoxGeometry(20, 1, 20),
+    new THREE.MeshLambertMaterial({ color: 0x4a7c59 })
+  );
+  mainGround.position.set(0, -0.5, 0);
+  model.add(mainGround);
+
+  // Elevated platforms
+  const platforms = [
+    { pos: [6, 2, 6], size: [4, 0.5, 4], color: 0x8B4513 },
+    { pos: [-6, 3, -6], size: [3, 0.5, 3], color: 0x8B4513 },
+    { pos: [0, 4, -10], size: [6, 0.5, 2], color: 0x8B4513 },
+    { pos: [10, 1, 0], size: [2, 0.5, 8], color: 0x8B4513 }
+  ];
+
+  platforms.forEach((platform, index) => {
+    const platformMesh = new THREE.Mesh(
+      new THREE.BoxGeometry(...platform.size),
+      new THREE.MeshLambertMaterial({ color: platform.color })
+    );
+    platformMesh.position.set(...platform.pos);
+    platformMesh.name = `Platform_${index}`;
+    model.add(platformMesh);
+  });
+
+  // Walls around the level
+  const walls = [
+    { pos: [0, 3, 12], size: [20, 6, 1], color: 0x696969 },  // North wall
+    { pos: [0, 3, -12], size: [20, 6, 1], color: 0x696969 }, // South wall
+    { pos: [12, 3, 0], size: [1, 6, 20], color: 0x696969 },  // East wall
+    { pos: [-12, 3, 0], size: [1, 6, 20], color: 0x696969 }  // West wall
+  ];
+
+  walls.forEach((wall, index) => {
+    const wallMesh = new THREE.Mesh(
+      new THREE.BoxGeometry(...wall.size),
+      new THREE.MeshLambertMaterial({ color: wall.color })
+    );
+    wallMesh.position.set(...wall.pos);
+    wallMesh.name = `Wall_${index}`;
+    model.add(wallMesh);
+  });
+
+  // Add some obstacles/ramps
+  const obstacles = [
+    { pos: [-3, 1, 3], size: [2, 2, 2], color: 0xDC143C },
+    { pos: [8, 0.5, -4], size: [1, 1, 6], color: 0xFF6347 },
+    { pos: [-8, 1.5, -2], size: [3, 3, 1], color: 0x4169E1 }
+  ];
+
+  obstacles.forEach((obstacle, index) => {
+    const obstacleMesh = new THREE.Mesh(
+      new THREE.BoxGeometry(...obstacle.size),
+      new THREE.MeshLambertMaterial({ color: obstacle.color })
+    );
+    obstacleMesh.position.set(...obstacle.pos);
+    obstacleMesh.name = `Obstacle_${index}`;
+    model.add(obstacleMesh);
+  });
+
+  // Add loose crates the ball can push ("Prop_" names become dynamic bodies)
+  const crates = [
+    { pos: [3, 0.4, 3], size: [0.8, 0.8, 0.8] },
+    { pos: [3, 1.2, 3], size: [0.8, 0.8, 0.8] },
+    { pos: [4, 0.4, 3.2], size: [0.8, 0.8, 0.8] }
+  ];
+
+  crates.forEach((crate, index) => {
+    const crateMesh = new THREE.Mesh(
+      new THREE.BoxGeometry(...crate.size),
+      new THREE.MeshLambertMaterial({ color: 0xC19A6B })
+    );
+    crateMesh.position.set(...crate.pos);
+    crateMesh.name = `Prop_Crate_${index}`;
+    model.add(crateMesh);
+  });
+
+  console.log('Procedural level created:', {
+    totalMeshes: model.children.length,
+    platforms: platforms.length,
+    walls: walls.length,
+    obstacles: obstacles.length,
+    crates: crates.length
+  });
+
+  return model;
+}
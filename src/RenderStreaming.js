@@ -0,0 +1,296 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { DEFAULT_LEVEL_ID } from './PhysicsManager.js';
+
+// Material fields that do not change how a mesh is drawn
+const MATERIAL_IDENTITY_KEYS = new Set(['uuid', 'id', 'name', 'version', 'userData', '_listeners']);
+
+/**
+ * RenderStreaming - Shows and hides level meshes per PhysicsManager chunk, so only chunks
+ * within visualRadius of the camera are drawn. The visual radius is independent of the
+ * physics load radius, and scene fog ends at it so chunks fade out before they disappear.
+ * With mergeStatic, the static meshes of each chunk are merged into one mesh with one draw
+ * call per distinct material; separate material instances with identical settings (as
+ * created per mesh by ProceduralLevel) count as one. Dynamic props are always drawn,
+ * since they can leave their chunk; animated meshes and trigger volumes are never merged.
+ */
+export class RenderStreaming {
+  constructor(manager, options = {}) {
+    // Configuration
+    this.manager = manager;
+    this.visualRadius = options.visualRadius || 60;
+    this.hideMargin = options.hideMargin !== undefined ? options.hideMargin : 5; // Hysteresis, so chunks at the edge don't flicker
+    this.mergeStatic = options.mergeStatic || false; // One draw call per distinct material in each chunk
+    this.fog = options.fog !== false;
+    this.fogColor = options.fogColor !== undefined ? options.fogColor : 0x000033;
+    this.fogStart = options.fogStart !== undefined ? options.fogStart : 0.6; // Fraction of visualRadius where fog begins
+
+    // State
+    this.scene = null;
+    this.entries = new Map(); // Map<string, { chunk, meshes, merged, mergedSources, visible }>
+    this.visibleEntries = []; // Visible chunks, so hiding never scans the whole level
+    this.nearbyChunks = []; // Reused query result buffer
+    this.previousFog = null;
+
+    console.log('RenderStreaming initialized:', {
+      visualRadius: this.visualRadius,
+      mergeStatic: this.mergeStatic,
+      fog: this.fog
+    });
+  }
+
+  /**
+   * Take over the visibility of a level's meshes. Call after the manager has its chunks
+   * (processGeometry() or loadBakedChunks() + attachModel()). Every chunk starts hidden.
+   * @param {THREE.Object3D} model - Rendered level model
+   * @param {THREE.Scene} scene - Scene for merged meshes and fog
+   * @param {string} levelId - Manager level the model renders
+   */
+  attach(model, scene, levelId = DEFAULT_LEVEL_ID) {
+    this.detach();
+    const level = this.manager.levels.get(levelId);
+    if (!level) {
+      console.warn(`RenderStreaming: No physics level ${levelId} to attach to`);
+      return;
+    }
+    this.scene = scene;
+    model.updateMatrixWorld(true);
+
+    let meshCount = 0;
+    let mergedCount = 0;
+    level.chunks.forEach(chunk => {
+      const id = chunk.id;
+      const entry = { chunk: chunk, meshes: [], merged: null, mergedSources: [], visible: true };
+      const staticMeshes = [];
+
+      this.getChunkMeshes(chunk, model).forEach(({ mesh, shapeData }) => {
+        if (shapeData && (shapeData.trigger || shapeData.mass > 0)) return; // Hidden sensors and free props
+        // Multi-material meshes keep drawing on their own
+        if (this.mergeStatic && !(shapeData && shapeData.animation) && !Array.isArray(mesh.material)) {
+          staticMeshes.push(mesh);
+        } else {
+          entry.meshes.push(mesh);
+        }
+      });
+
+      if (staticMeshes.length > 1) {
+        entry.merged = this.mergeMeshes(staticMeshes, id);
+      }
+      if (entry.merged) {
+        staticMeshes.forEach(mesh => {
+          mesh.visible = false;
+        });
+        entry.mergedSources = staticMeshes;
+        scene.add(entry.merged);
+        mergedCount += staticMeshes.length;
+      } else {
+        entry.meshes.push(...staticMeshes);
+      }
+
+      meshCount += entry.meshes.length + (entry.merged ? 1 : 0);
+      this.entries.set(id, entry);
+      this.setEntryVisible(entry, false);
+    });
+
+    if (this.fog) {
+      this.previousFog = scene.fog;
+      scene.fog = new THREE.Fog(this.fogColor, this.visualRadius * this.fogStart, this.visualRadius);
+    }
+
+    console.log(`RenderStreaming: Attached ${this.entries.size} chunks with ${meshCount} drawables (${mergedCount} meshes merged)`);
+  }
+
+  /**
+   * Get the meshes of a chunk with their shape data: the chunk's own children, or for
+   * baked chunks the nodes named by their shapes
+   */
+  getChunkMeshes(chunk, model) {
+    const shapeByChild = new Map();
+    chunk.shapes.forEach(shapeData => {
+      const node = this.manager.findShapeNode(shapeData, model);
+      if (node) shapeByChild.set(node, shapeData);
+    });
+
+    if (chunk.meshChildren.length > 0) {
+      return chunk.meshChildren.map(mesh => ({ mesh: mesh, shapeData: shapeByChild.get(mesh) || null }));
+    }
+
+    const meshes = [];
+    shapeByChild.forEach((shapeData, node) => {
+      if (node.isMesh) meshes.push({ mesh: node, shapeData: shapeData });
+    });
+    return meshes;
+  }
+
+  /**
+   * Merge meshes into one world-space mesh with a group per distinct material
+   * @returns {THREE.Mesh|null} null if the geometries cannot be merged (differing attributes)
+   */
+  mergeMeshes(meshes, chunkId) {
+    const materials = [];
+    const materialIndex = new Map(); // Map<material key, number>; the first instance of each is drawn
+    const byMaterial = []; // Geometries per material index
+
+    meshes.forEach(mesh => {
+      const key = getMaterialKey(mesh.material);
+      if (!materialIndex.has(key)) {
+        materialIndex.set(key, materials.length);
+        materials.push(mesh.material);
+        byMaterial.push([]);
+      }
+      const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+      geometry.applyMatrix4(mesh.matrixWorld);
+      byMaterial[materialIndex.get(key)].push(geometry);
+    });
+
+    const perMaterial = byMaterial.map(list => (list.length === 1 ? list[0] : mergeGeometries(list)));
+    const merged = perMaterial.every(geometry => geometry) ? mergeGeometries(perMaterial, true) : null;
+    byMaterial.forEach(list => list.forEach(geometry => geometry.dispose()));
+    perMaterial.forEach(geometry => geometry && geometry.dispose());
+
+    if (!merged) {
+      console.warn(`RenderStreaming: Could not merge ${meshes.length} meshes in chunk ${chunkId}`);
+      return null;
+    }
+
+    const mesh = new THREE.Mesh(merged, materials.length === 1 ? materials[0] : materials);
+    mesh.name = `merged_${chunkId}`;
+    mesh.castShadow = meshes.some(source => source.castShadow);
+    mesh.receiveShadow = meshes.some(source => source.receiveShadow);
+    return mesh;
+  }
+
+  /**
+   * Show or hide all drawables of a chunk
+   */
+  setEntryVisible(entry, visible) {
+    if (entry.visible === visible) return;
+    entry.visible = visible;
+    entry.meshes.forEach(mesh => {
+      mesh.visible = visible;
+    });
+    if (entry.merged) {
+      entry.merged.visible = visible;
+    }
+
+    if (visible) {
+      this.visibleEntries.push(entry);
+    } else {
+      const index = this.visibleEntries.indexOf(entry);
+      if (index !== -1) {
+        // Swap-remove; order of visible chunks does not matter
+        this.visibleEntries[index] = this.visibleEntries[this.visibleEntries.length - 1];
+        this.visibleEntries.pop();
+      }
+    }
+  }
+
+  /**
+   * Show chunks that came within visualRadius and hide those beyond it plus hideMargin.
+   * Call once per rendered frame with the camera position.
+   * @param {THREE.Vector3} position - Viewer position
+   */
+  update(position) {
+    if (!this.scene) return;
+
+    const nearby = this.manager.queryChunks(position, this.visualRadius, this.nearbyChunks);
+    for (let i = 0; i < nearby.length; i++) {
+      const entry = this.entries.get(nearby[i].id);
+      if (entry && !entry.visible) {
+        this.setEntryVisible(entry, true);
+      }
+    }
+
+    const hideRadius = this.visualRadius + this.hideMargin;
+    for (let i = this.visibleEntries.length - 1; i >= 0; i--) {
+      const entry = this.visibleEntries[i];
+      if (entry.chunk.getDistanceToPoint(position) > hideRadius) {
+        this.setEntryVisible(entry, false);
+      }
+    }
+  }
+
+  /**
+   * Change the visual radius and the fog that ends at it
+   */
+  setVisualRadius(visualRadius) {
+    this.visualRadius = Math.max(0, visualRadius);
+    if (this.scene && this.fog && this.scene.fog) {
+      this.scene.fog.near = this.visualRadius * this.fogStart;
+      this.scene.fog.far = this.visualRadius;
+    }
+    console.log('RenderStreaming visual radius set to:', this.visualRadius);
+  }
+
+  /**
+   * Get render streaming status
+   */
+  getStatus() {
+    let merged = 0;
+    this.entries.forEach(entry => {
+      if (entry.merged) merged++;
+    });
+    return {
+      totalChunks: this.entries.size,
+      visibleChunks: this.visibleEntries.length,
+      mergedChunks: merged,
+      visualRadius: this.visualRadius
+    };
+  }
+
+  /**
+   * Give every mesh back its visibility, remove merged meshes and restore the fog
+   */
+  detach() {
+    if (!this.scene) return;
+
+    this.entries.forEach(entry => {
+      entry.meshes.forEach(mesh => {
+        mesh.visible = true;
+      });
+      if (entry.merged) {
+        this.scene.remove(entry.merged);
+        entry.merged.geometry.dispose();
+        entry.mergedSources.forEach(mesh => {
+          mesh.visible = true;
+        });
+      }
+    });
+
+    if (this.fog) {
+      this.scene.fog = this.previousFog;
+      this.previousFog = null;
+    }
+
+    this.entries.clear();
+    this.visibleEntries = [];
+    this.nearbyChunks.length = 0;
+    this.scene = null;
+  }
+}
+
+/**
+ * Key that is equal for materials drawing the same way: same type, colors, textures and flags
+ */
+function getMaterialKey(material) {
+  const parts = [];
+  Object.keys(material).sort().forEach(key => {
+    if (MATERIAL_IDENTITY_KEYS.has(key)) return;
+    const value = material[key];
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+      parts.push(`${key}:${value}`);
+    } else if (value.isColor) {
+      parts.push(`${key}:${value.getHexString()}`);
+    } else if (value.isTexture) {
+      parts.push(`${key}:${value.uuid}`);
+    } else if (typeof value.toArray === 'function') {
+      parts.push(`${key}:${value.toArray().join(',')}`);
+    } else if (value.constructor === Object) {
+      parts.push(`${key}:${JSON.stringify(value)}`);
+    } else {
+      // Anything else (e.g. clipping planes or callbacks) keeps the material on its own
+      parts.push(`${key}:${material.uuid}`);
+    }
+  });
+  return `${material.type}|${parts.join('|')}`;
+}
@@ -0,0 +1,382 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+
+/**
+ * ShapeFitter - Fits primitive collision shapes to level geometry.
+ * Boxes become CANNON.Box, other convex meshes (e.g. tapered boxes) become
+ * CANNON.ConvexPolyhedron, and only non-convex geometry falls back to CANNON.Trimesh.
+ */
+export class ShapeFitter {
+  constructor(options = {}) {
+    // Configuration
+    this.tolerance = options.tolerance || 1e-3; // Relative to the geometry size
+    this.angleTolerance = options.angleTolerance || 1e-3; // Max |cos| between box edges
+    this.fitBoxes = options.fitBoxes !== false;
+    this.fitConvex = options.fitConvex !== false;
+  }
+
+  /**
+   * Fit the best collision shape to a buffer geometry
+   * @param {THREE.BufferGeometry} geometry - Geometry with a position attribute
+   * @param {THREE.Matrix4} matrix - Transform baked into the vertices (optional, e.g. matrixWorld)
+   * @returns {Object|null} { type, shape, position, offset, orientation, vertexCount, faceCount }
+   */
+  fitGeometry(geometry, matrix = null) {
+    if (!geometry.attributes.position) return null;
+
+    const { vertices, indices } = this.extractBuffers(geometry, matrix);
+
+    // Re-center on the bounding box so the body sits at the geometry instead of the origin
+    const bbox = new THREE.Box3();
+    const point = new THREE.Vector3();
+    for (let i = 0; i < vertices.length; i += 3) {
+      bbox.expandByPoint(point.set(vertices[i], vertices[i + 1], vertices[i + 2]));
+    }
+    const position = bbox.getCenter(new THREE.Vector3());
+    for (let i = 0; i < vertices.length; i += 3) {
+      vertices[i] -= position.x;
+      vertices[i + 1] -= position.y;
+      vertices[i + 2] -= position.z;
+    }
+
+    // Tolerances scale with the geometry so tiny and huge children fit alike
+    const diagonal = bbox.getSize(new THREE.Vector3()).length();
+    const epsilon = Math.max(diagonal * this.tolerance, 1e-6);
+
+    const points = this.weldVertices(vertices, epsilon);
+
+    let fitted = null;
+    if (this.fitBoxes) {
+      fitted = this.fitBox(points, epsilon);
+    }
+    if (!fitted && this.fitConvex) {
+      fitted = this.fitConvexHull(points, vertices, indices, epsilon);
+    }
+    if (!fitted) {
+      fitted = this.createTrimesh(vertices, indices);
+    }
+
+    fitted.position = position;
+    return fitted;
+  }
+
+  /**
+   * Fit a box to a geometry, using its axis-aligned bounds when it is not a box itself.
+   * Sensor volumes need this: cannon only reports a sphere inside a convex or trimesh
+   * shape while it touches the surface, but inside a box for its whole volume.
+   * @param {THREE.BufferGeometry} geometry - Geometry with a position attribute
+   * @param {THREE.Matrix4} matrix - Transform baked into the vertices (optional, e.g. matrixWorld)
+   * @returns {Object|null} Same result as fitGeometry(), always of type 'box'
+   */
+  fitVolume(geometry, matrix = null) {
+    const fitted = this.fitGeometry(geometry, matrix);
+    if (!fitted || fitted.type === 'box') return fitted;
+
+    const { vertices } = this.extractBuffers(geometry, matrix);
+    const bbox = new THREE.Box3().setFromArray(vertices);
+    const size = bbox.getSize(new THREE.Vector3());
+
+    return {
+      type: 'box',
+      shape: new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2)),
+      offset: new THREE.Vector3(),
+      orientation: new THREE.Quaternion(),
+      vertexCount: 8,
+      faceCount: 6,
+      position: bbox.getCenter(new THREE.Vector3())
+    };
+  }
+
+  /**
+   * Extract flat vertex and index arrays from a buffer geometry
+   * @param {THREE.BufferGeometry} geometry - Source geometry
+   * @param {THREE.Matrix4} matrix - Transform applied to every vertex (optional)
+   */
+  extractBuffers(geometry, matrix = null) {
+    const positionAttribute = geometry.attributes.position;
+    const vertices = [];
+    const indices = [];
+    const vertex = new THREE.Vector3();
+
+    for (let i = 0; i < positionAttribute.count; i++) {
+      vertex.fromBufferAttribute(positionAttribute, i);
+      if (matrix) {
+        vertex.applyMatrix4(matrix);
+      }
+      vertices.push(vertex.x, vertex.y, vertex.z);
+    }
+
+    if (geometry.index) {
+      // Indexed geometry
+      for (let i = 0; i < geometry.index.count; i++) {
+        indices.push(geometry.index.getX(i));
+      }
+    } else {
+      // Non-indexed geometry
+      for (let i = 0; i < positionAttribute.count; i++) {
+        indices.push(i);
+      }
+    }
+
+    // Mirroring transforms (negative scale) flip the winding, so restore outward-facing triangles
+    if (matrix && matrix.determinant() < 0) {
+      for (let i = 0; i + 2 < indices.length; i += 3) {
+        const swap = indices[i + 1];
+        indices[i + 1] = indices[i + 2];
+        indices[i + 2] = swap;
+      }
+    }
+
+    return { vertices, indices };
+  }
+
+  /**
+   * Merge vertices closer than epsilon (split normals/UVs duplicate corners)
+   */
+  weldVertices(vertices, epsilon) {
+    const points = [];
+    const cells = new Map(); // Map<string, THREE.Vector3[]>
+
+    for (let i = 0; i < vertices.length; i += 3) {
+      const point = new THREE.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]);
+      const key = `${Math.round(point.x / epsilon)}_${Math.round(point.y / epsilon)}_${Math.round(point.z / epsilon)}`;
+      const bucket = cells.get(key);
+
+      if (bucket && bucket.some(existing => existing.distanceTo(point) <= epsilon)) {
+        continue;
+      }
+
+      // Neighbouring cells are not searched, so a pair straddling a cell edge may survive;
+      // the fitters below compare with epsilon anyway.
+      if (bucket) {
+        bucket.push(point);
+      } else {
+        cells.set(key, [point]);
+      }
+      points.push(point);
+    }
+
+    return points;
+  }
+
+  /**
+   * Detect an axis-aligned or rotated box from its 8 corners
+   */
+  fitBox(points, epsilon) {
+    if (points.length !== 8) return null;
+
+    const origin = points[0];
+    const edges = points.slice(1).map(point => point.clone().sub(origin));
+
+    // Try every triple of edges from the first corner; a box has exactly one orthogonal triple
+    for (let a = 0; a < edges.length; a++) {
+      for (let b = a + 1; b < edges.length; b++) {
+        for (let c = b + 1; c < edges.length; c++) {
+          const axes = [edges[a], edges[b], edges[c]];
+          if (!this.areOrthogonal(axes)) continue;
+          if (!this.spansBox(points, origin, axes, epsilon)) continue;
+
+          return this.createBox(origin, axes);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that three edge vectors are non-degenerate and mutually orthogonal
+   */
+  areOrthogonal(axes) {
+    const lengths = axes.map(axis => axis.length());
+    if (lengths.some(length => length === 0)) return false;
+
+    for (let i = 0; i < 3; i++) {
+      for (let j = i + 1; j < 3; j++) {
+        const cos = Math.abs(axes[i].dot(axes[j])) / (lengths[i] * lengths[j]);
+        if (cos > this.angleTolerance) return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check that every corner origin + {0,1}*a + {0,1}*b + {0,1}*c exists in the point set
+   */
+  spansBox(points, origin, axes, epsilon) {
+    const corner = new THREE.Vector3();
+
+    for (let mask = 0; mask < 8; mask++) {
+      corner.copy(origin);
+      axes.forEach((axis, bit) => {
+        if (mask & (1 << bit)) corner.add(axis);
+      });
+
+      if (!points.some(point => point.distanceTo(corner) <= epsilon)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Build a CANNON.Box with offset and orientation from a corner and its edges
+   */
+  createBox(origin, axes) {
+    const center = origin.clone();
+    axes.forEach(axis => center.addScaledVector(axis, 0.5));
+
+    // Order the edges by their dominant world axis so axis-aligned boxes get an identity rotation
+    let ordered = axes;
+    const dominant = axes.map(axis => {
+      const abs = [Math.abs(axis.x), Math.abs(axis.y), Math.abs(axis.z)];
+      return abs.indexOf(Math.max(...abs));
+    });
+    if (new Set(dominant).size === 3) {
+      ordered = [0, 1, 2].map(component => {
+        const axis = axes[dominant.indexOf(component)].clone();
+        // Boxes are symmetric, so point each edge along its positive world axis
+        return axis.getComponent(component) < 0 ? axis.negate() : axis;
+      });
+    }
+
+    const basisX = ordered[0].clone().normalize();
+    const basisY = ordered[1].clone().normalize();
+    const basisZ = ordered[2].clone().normalize();
+
+    // Keep the basis right-handed
+    if (basisX.clone().cross(basisY).dot(basisZ) < 0) {
+      basisZ.negate();
+    }
+
+    const rotation = new THREE.Matrix4().makeBasis(basisX, basisY, basisZ);
+    const orientation = new THREE.Quaternion().setFromRotationMatrix(rotation);
+
+    const halfExtents = new CANNON.Vec3(
+      ordered[0].length() / 2,
+      ordered[1].length() / 2,
+      ordered[2].length() / 2
+    );
+
+    return {
+      type: 'box',
+      shape: new CANNON.Box(halfExtents),
+      offset: center,
+      orientation: orientation,
+      vertexCount: 8,
+      faceCount: 6
+    };
+  }
+
+  /**
+   * Build a CANNON.ConvexPolyhedron if the geometry coincides with its convex hull
+   */
+  fitConvexHull(points, vertices, indices, epsilon) {
+    if (points.length < 4) return null;
+
+    let hull;
+    try {
+      hull = new ConvexHull().setFromPoints(points);
+    } catch (error) {
+      console.warn('ShapeFitter: Convex hull failed, falling back to trimesh:', error);
+      return null;
+    }
+
+    if (hull.faces.length < 4) return null;
+    if (hull.faces.some(face => !Number.isFinite(face.constant))) return null;
+
+    // Every vertex must lie on the hull surface; concave vertices sit strictly inside
+    const onSurface = points.every(point => {
+      let maxDistance = -Infinity;
+      hull.faces.forEach(face => {
+        maxDistance = Math.max(maxDistance, face.distanceToPoint(point));
+      });
+      return maxDistance >= -epsilon;
+    });
+    if (!onSurface) return null;
+
+    // The enclosed volume must match too, which rejects notches spanned by hull vertices
+    const hullVolume = this.computeHullVolume(hull);
+    const meshVolume = Math.abs(this.computeMeshVolume(vertices, indices));
+    if (hullVolume <= 0 || Math.abs(hullVolume - meshVolume) > hullVolume * this.tolerance * 10) {
+      return null;
+    }
+
+    const hullVertices = [];
+    const vertexIndices = new Map(); // Map<VertexNode, number>
+    const faces = hull.faces.map(face => {
+      const faceIndices = [];
+      let edge = face.edge;
+      do {
+        const vertex = edge.head();
+        if (!vertexIndices.has(vertex)) {
+          vertexIndices.set(vertex, hullVertices.length);
+          hullVertices.push(new CANNON.Vec3(vertex.point.x, vertex.point.y, vertex.point.z));
+        }
+        faceIndices.push(vertexIndices.get(vertex));
+        edge = edge.next;
+      } while (edge !== face.edge);
+      return faceIndices;
+    });
+
+    return {
+      type: 'convex',
+      shape: new CANNON.ConvexPolyhedron({ vertices: hullVertices, faces: faces }),
+      offset: new THREE.Vector3(0, 0, 0),
+      orientation: new THREE.Quaternion(),
+      vertexCount: hullVertices.length,
+      faceCount: faces.length
+    };
+  }
+
+  /**
+   * Volume of a convex hull (sum of tetrahedra against an interior point)
+   */
+  computeHullVolume(hull) {
+    const centroid = new THREE.Vector3();
+    hull.vertices.forEach(vertex => centroid.add(vertex.point));
+    centroid.divideScalar(hull.vertices.length);
+
+    let volume = 0;
+    hull.faces.forEach(face => {
+      volume += (face.area * Math.abs(face.distanceToPoint(centroid))) / 3;
+    });
+    return volume;
+  }
+
+  /**
+   * Signed volume of a closed triangle mesh (divergence theorem)
+   */
+  computeMeshVolume(vertices, indices) {
+    let volume = 0;
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+      const a = indices[i] * 3;
+      const b = indices[i + 1] * 3;
+      const c = indices[i + 2] * 3;
+
+      volume += (
+        vertices[a] * (vertices[b + 1] * vertices[c + 2] - vertices[b + 2] * vertices[c + 1]) -
+        vertices[a + 1] * (vertices[b] * vertices[c + 2] - vertices[b + 2] * vertices[c]) +
+        vertices[a + 2] * (vertices[b] * vertices[c + 1] - vertices[b + 1] * vertices[c])
+      ) / 6;
+    }
+    return volume;
+  }
+
+  /**
+   * Fallback for non-convex geometry
+   */
+  createTrimesh(vertices, indices) {
+    return {
+      type: 'trimesh',
+      shape: new CANNON.Trimesh(vertices, indices),
+      offset: new THREE.Vector3(0, 0, 0),
+      orientation: new THREE.Quaternion(),
+      vertexCount: vertices.length / 3,
+      faceCount: indices.length / 3
+    };
+  }
+}
@@ -0,0 +1,402 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+
+const EPSILON = 1e-9;
+
+/**
+ * ShapeQueries - Ray, sphere sweep and box overlap tests against fitted shape data.
+ * Shapes are turned into triangles in body space once, so the tests need no CANNON.Body
+ * and work for chunks that are not loaded into the world. Each query gets the body pose
+ * (position + quaternion) the shape currently has and is moved into body space.
+ * Box and convex shapes are solid: rays only hit faces turned toward them, and a box
+ * inside the shape overlaps it. Trimeshes are two-sided surfaces.
+ */
+export class ShapeQueries {
+  constructor() {
+    // Scratch objects, so queries allocate nothing but their hits
+    this.inverseQuaternion = new THREE.Quaternion();
+    this.localOrigin = new THREE.Vector3();
+    this.localDirection = new THREE.Vector3();
+    this.localRay = new THREE.Ray();
+    this.localBounds = new THREE.Box3();
+    this.boxQuaternion = new THREE.Quaternion();
+    this.boxAxes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    this.triangle = new THREE.Triangle();
+    this.vertices = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    this.edges = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    this.normal = new THREE.Vector3();
+    this.axis = new THREE.Vector3();
+    this.point = new THREE.Vector3();
+    this.closest = new THREE.Vector3();
+    this.offset = new THREE.Vector3();
+    this.edgeDirection = new THREE.Vector3();
+    this.hitPoint = new THREE.Vector3();
+    this.hitNormal = new THREE.Vector3();
+  }
+
+  /**
+   * Get the body-space triangles of a fitted shape, building them on first use
+   * @param {Object} shapeData - Fitted shape data (shape, type, offset, orientation)
+   * @returns {Object} { triangles: Float32Array (9 per triangle), normals: Float32Array, bounds: THREE.Box3, solid }
+   */
+  getQueryMesh(shapeData) {
+    if (shapeData.queryMesh) return shapeData.queryMesh;
+
+    const shape = shapeData.shape;
+    let vertices = [];
+    let faces = [];
+    if (shapeData.type === 'trimesh') {
+      vertices = shape.vertices;
+      for (let i = 0; i < shape.indices.length; i += 3) {
+        faces.push([shape.indices[i], shape.indices[i + 1], shape.indices[i + 2]]);
+      }
+    } else {
+      const polyhedron = shape instanceof CANNON.Box ? shape.convexPolyhedronRepresentation : shape;
+      polyhedron.vertices.forEach(vertex => vertices.push(vertex.x, vertex.y, vertex.z));
+      faces = polyhedron.faces;
+    }
+
+    // Fan-triangulate faces and move them by the shape's offset within the body
+    const triangles = [];
+    const point = new THREE.Vector3();
+    faces.forEach(face => {
+      for (let i = 1; i < face.length - 1; i++) {
+        [face[0], face[i], face[i + 1]].forEach(index => {
+          point.fromArray(vertices, index * 3).applyQuaternion(shapeData.orientation).add(shapeData.offset);
+          triangles.push(point.x, point.y, point.z);
+        });
+      }
+    });
+
+    const normals = new Float32Array(triangles.length / 3);
+    const triangle = this.triangle;
+    for (let i = 0; i < triangles.length; i += 9) {
+      triangle.a.fromArray(triangles, i);
+      triangle.b.fromArray(triangles, i + 3);
+      triangle.c.fromArray(triangles, i + 6);
+      triangle.getNormal(point).toArray(normals, i / 3);
+    }
+
+    shapeData.queryMesh = {
+      triangles: new Float32Array(triangles),
+      normals: normals,
+      bounds: new THREE.Box3().setFromArray(triangles),
+      solid: shapeData.type !== 'trimesh'
+    };
+    return shapeData.queryMesh;
+  }
+
+  /**
+   * Load triangle i of a query mesh into the scratch triangle and normal
+   */
+  loadTriangle(mesh, i) {
+    this.triangle.a.fromArray(mesh.triangles, i * 9);
+    this.triangle.b.fromArray(mesh.triangles, i * 9 + 3);
+    this.triangle.c.fromArray(mesh.triangles, i * 9 + 6);
+    this.normal.fromArray(mesh.normals, i * 3);
+  }
+
+  /**
+   * Move a world-space ray into body space (origin and direction scratch vectors)
+   */
+  toBodySpace(origin, direction, position, quaternion) {
+    this.inverseQuaternion.copy(quaternion).invert();
+    this.localOrigin.copy(origin).sub(position).applyQuaternion(this.inverseQuaternion);
+    this.localDirection.copy(direction).applyQuaternion(this.inverseQuaternion);
+  }
+
+  /**
+   * Check whether the local ray enters a body-space box within maxDistance
+   */
+  reachesBox(box, maxDistance) {
+    if (box.containsPoint(this.localOrigin)) return true;
+    const entry = this.localRay.intersectBox(box, this.point);
+    return entry !== null && entry.distanceTo(this.localOrigin) <= maxDistance;
+  }
+
+  /**
+   * Move the body-space hit point and normal back into world space
+   */
+  toWorldHit(position, quaternion) {
+    return {
+      point: this.hitPoint.clone().applyQuaternion(quaternion).add(position),
+      normal: this.hitNormal.clone().applyQuaternion(quaternion).normalize()
+    };
+  }
+
+  /**
+   * Cast a ray against a shape
+   * @param {Object} shapeData - Fitted shape data
+   * @param {THREE.Vector3} position - Current body position
+   * @param {THREE.Quaternion} quaternion - Current body rotation
+   * @param {THREE.Vector3} origin - Ray origin (world)
+   * @param {THREE.Vector3} direction - Normalized ray direction (world)
+   * @param {number} maxDistance - Ray length
+   * @returns {Object|null} { distance, point, normal } of the nearest hit
+   */
+  raycast(shapeData, position, quaternion, origin, direction, maxDistance) {
+    const mesh = this.getQueryMesh(shapeData);
+    this.toBodySpace(origin, direction, position, quaternion);
+    this.localRay.set(this.localOrigin, this.localDirection);
+
+    if (!this.reachesBox(mesh.bounds, maxDistance)) return null;
+
+    let nearest = maxDistance;
+    let found = false;
+    const count = mesh.normals.length / 3;
+    for (let i = 0; i < count; i++) {
+      this.loadTriangle(mesh, i);
+      const facing = this.normal.dot(this.localDirection);
+      if (mesh.solid && facing >= 0) continue;
+
+      const { a, b, c } = this.triangle;
+      if (!this.localRay.intersectTriangle(a, b, c, false, this.point)) continue;
+      const distance = this.point.distanceTo(this.localOrigin);
+      if (distance > nearest) continue;
+
+      nearest = distance;
+      found = true;
+      this.hitPoint.copy(this.point);
+      this.hitNormal.copy(this.normal);
+      if (facing > 0) {
+        this.hitNormal.negate(); // Back of a trimesh surface
+      }
+    }
+
+    return found ? { distance: nearest, ...this.toWorldHit(position, quaternion) } : null;
+  }
+
+  /**
+   * Sweep a sphere against a shape
+   * @param {Object} shapeData - Fitted shape data
+   * @param {THREE.Vector3} position - Current body position
+   * @param {THREE.Quaternion} quaternion - Current body rotation
+   * @param {THREE.Vector3} origin - Sphere center at the start (world)
+   * @param {THREE.Vector3} direction - Normalized sweep direction (world)
+   * @param {number} maxDistance - Sweep length
+   * @param {number} radius - Sphere radius
+   * @returns {Object|null} { distance, point, normal } of the first contact; distance is how far the center traveled
+   */
+  sphereCast(shapeData, position, quaternion, origin, direction, maxDistance, radius) {
+    const mesh = this.getQueryMesh(shapeData);
+    this.toBodySpace(origin, direction, position, quaternion);
+    this.localRay.set(this.localOrigin, this.localDirection);
+
+    this.localBounds.copy(mesh.bounds).expandByScalar(radius);
+    if (!this.reachesBox(this.localBounds, maxDistance)) return null;
+
+    let nearest = maxDistance;
+    let found = false;
+    const count = mesh.normals.length / 3;
+    for (let i = 0; i < count; i++) {
+      this.loadTriangle(mesh, i);
+      const distance = this.sweepTriangle(mesh.solid, radius, nearest);
+      if (distance === null) continue;
+
+      nearest = distance;
+      found = true;
+      // Contact normal points from the touched point toward the sphere center
+      this.point.copy(this.localOrigin).addScaledVector(this.localDirection, distance);
+      this.triangle.closestPointToPoint(this.point, this.hitPoint);
+      this.hitNormal.subVectors(this.point, this.hitPoint);
+      if (this.hitNormal.lengthSq() < EPSILON) {
+        this.hitNormal.copy(this.normal); // Center on the surface (sweep started overlapping)
+      }
+      this.hitNormal.normalize();
+    }
+
+    return found ? { distance: nearest, ...this.toWorldHit(position, quaternion) } : null;
+  }
+
+  /**
+   * Earliest distance at which a sphere swept along the local ray touches the scratch
+   * triangle: its face, one of its edges or one of its corners
+   * @returns {number|null} Distance, or null if the sphere misses it within maxDistance
+   */
+  sweepTriangle(solid, radius, maxDistance) {
+    const origin = this.localOrigin;
+    const direction = this.localDirection;
+    const normal = this.normal;
+    const triangle = this.triangle;
+
+    // Starting inside the triangle's reach counts as a hit at 0
+    triangle.closestPointToPoint(origin, this.closest);
+    if (this.closest.distanceToSquared(origin) <= radius * radius) {
+      return solid && normal.dot(direction) >= 0 ? null : 0;
+    }
+
+    let best = null;
+
+    // Face: the plane moved toward the sphere by its radius (either side of a trimesh)
+    let side = 1;
+    let height = normal.dot(this.offset.subVectors(origin, triangle.a));
+    let facing = normal.dot(direction);
+    if (height < 0 && !solid) {
+      side = -1;
+      height = -height;
+      facing = -facing;
+    }
+    if (height >= 0 && facing < -EPSILON) {
+      const distance = (height - radius) / -facing;
+      if (distance >= 0 && distance <= maxDistance) {
+        this.point.copy(origin).addScaledVector(direction, distance).addScaledVector(normal, -side * radius);
+        if (triangle.containsPoint(this.point)) {
+          best = distance;
+        }
+      }
+    }
+    if (best !== null) return best;
+    if (solid && normal.dot(direction) >= 0) return null; // Moving away from a solid's face
+
+    // Edges: a cylinder of the sphere's radius around each edge
+    const vertices = this.vertices;
+    vertices[0].copy(triangle.a);
+    vertices[1].copy(triangle.b);
+    vertices[2].copy(triangle.c);
+    for (let i = 0; i < 3; i++) {
+      const start = vertices[i];
+      const edge = this.edgeDirection.subVectors(vertices[(i + 1) % 3], start);
+      const length = edge.length();
+      if (length < EPSILON) continue;
+      edge.divideScalar(length);
+
+      const m = this.offset.subVectors(origin, start);
+      const mAlong = m.dot(edge);
+      const dAlong = direction.dot(edge);
+      const a = 1 - dAlong * dAlong;
+      if (a < EPSILON) continue; // Parallel to the edge; the corners catch it
+      const b = m.dot(direction) - mAlong * dAlong;
+      const c = m.lengthSq() - mAlong * mAlong - radius * radius;
+      const discriminant = b * b - a * c;
+      if (discriminant < 0) continue;
+
+      const distance = (-b - Math.sqrt(discriminant)) / a;
+      const along = mAlong + distance * dAlong;
+      if (distance >= 0 && distance <= maxDistance && along >= 0 && along <= length &&
+          (best === null || distance < best)) {
+        best = distance;
+      }
+    }
+
+    // Corners: a sphere of the sphere's radius around each vertex
+    for (let i = 0; i < 3; i++) {
+      const m = this.offset.subVectors(origin, vertices[i]);
+      const b = m.dot(direction);
+      const c = m.lengthSq() - radius * radius;
+      const discriminant = b * b - c;
+      if (discriminant < 0) continue;
+
+      const distance = -b - Math.sqrt(discriminant);
+      if (distance >= 0 && distance <= maxDistance && (best === null || distance < best)) {
+        best = distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Test an oriented box against a shape
+   * @param {Object} shapeData - Fitted shape data
+   * @param {THREE.Vector3} position - Current body position
+   * @param {THREE.Quaternion} quaternion - Current body rotation
+   * @param {THREE.Vector3} center - Box center (world)
+   * @param {THREE.Vector3} halfExtents - Box half extents
+   * @param {THREE.Quaternion} boxQuaternion - Box rotation (world)
+   * @returns {Object|null} { point, normal }: the shape's surface point nearest the box center and its normal
+   */
+  overlapBox(shapeData, position, quaternion, center, halfExtents, boxQuaternion) {
+    const mesh = this.getQueryMesh(shapeData);
+    this.inverseQuaternion.copy(quaternion).invert();
+    this.localOrigin.copy(center).sub(position).applyQuaternion(this.inverseQuaternion);
+    this.boxQuaternion.copy(this.inverseQuaternion).multiply(boxQuaternion);
+
+    // Box axes in body space, and the box's axis-aligned reach along each body axis
+    const axes = this.boxAxes;
+    axes[0].set(1, 0, 0).applyQuaternion(this.boxQuaternion);
+    axes[1].set(0, 1, 0).applyQuaternion(this.boxQuaternion);
+    axes[2].set(0, 0, 1).applyQuaternion(this.boxQuaternion);
+    this.point.set(
+      Math.abs(axes[0].x) * halfExtents.x + Math.abs(axes[1].x) * halfExtents.y + Math.abs(axes[2].x) * halfExtents.z,
+      Math.abs(axes[0].y) * halfExtents.x + Math.abs(axes[1].y) * halfExtents.y + Math.abs(axes[2].y) * halfExtents.z,
+      Math.abs(axes[0].z) * halfExtents.x + Math.abs(axes[1].z) * halfExtents.y + Math.abs(axes[2].z) * halfExtents.z
+    );
+    this.localBounds.setFromCenterAndSize(this.localOrigin, this.point.multiplyScalar(2));
+    if (!this.localBounds.intersectsBox(mesh.bounds)) return null;
+
+    let overlaps = false;
+    let inside = mesh.solid;
+    let nearest = Infinity;
+    const count = mesh.normals.length / 3;
+    for (let i = 0; i < count; i++) {
+      this.loadTriangle(mesh, i);
+
+      if (normalHeight(this.normal, this.triangle.a, this.localOrigin) > 0) {
+        inside = false;
+      }
+      if (!overlaps && this.intersectsTriangle(halfExtents)) {
+        overlaps = true;
+      }
+
+      this.triangle.closestPointToPoint(this.localOrigin, this.closest);
+      const distance = this.closest.distanceToSquared(this.localOrigin);
+      if (distance < nearest) {
+        nearest = distance;
+        this.hitPoint.copy(this.closest);
+        this.hitNormal.copy(this.normal);
+      }
+    }
+
+    if (!overlaps && !inside) return null;
+    return this.toWorldHit(position, quaternion);
+  }
+
+  /**
+   * Separating axis test between the scratch triangle and the box around localOrigin
+   */
+  intersectsTriangle(halfExtents) {
+    const axes = this.boxAxes;
+    const vertices = this.vertices;
+    vertices[0].subVectors(this.triangle.a, this.localOrigin);
+    vertices[1].subVectors(this.triangle.b, this.localOrigin);
+    vertices[2].subVectors(this.triangle.c, this.localOrigin);
+    this.edges[0].subVectors(vertices[1], vertices[0]);
+    this.edges[1].subVectors(vertices[2], vertices[1]);
+    this.edges[2].subVectors(vertices[0], vertices[2]);
+
+    if (this.separates(axes[0], halfExtents) || this.separates(axes[1], halfExtents) ||
+        this.separates(axes[2], halfExtents) || this.separates(this.normal, halfExtents)) {
+      return false;
+    }
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        this.axis.crossVectors(axes[i], this.edges[j]);
+        if (this.axis.lengthSq() > EPSILON && this.separates(this.axis, halfExtents)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Check whether an axis separates the box-relative triangle vertices from the box
+   */
+  separates(axis, halfExtents) {
+    const axes = this.boxAxes;
+    const reach = halfExtents.x * Math.abs(axes[0].dot(axis)) +
+      halfExtents.y * Math.abs(axes[1].dot(axis)) +
+      halfExtents.z * Math.abs(axes[2].dot(axis));
+    const p0 = this.vertices[0].dot(axis);
+    const p1 = this.vertices[1].dot(axis);
+    const p2 = this.vertices[2].dot(axis);
+    return Math.min(p0, p1, p2) > reach || Math.max(p0, p1, p2) < -reach;
+  }
+}
+
+// Signed height of a point above a triangle's plane
+function normalHeight(normal, pointOnPlane, point) {
+  return normal.x * (point.x - pointOnPlane.x) +
+    normal.y * (point.y - pointOnPlane.y) +
+    normal.z * (point.z - pointOnPlane.z);
+}